@@ -3,21 +3,372 @@
  * Includes Quickbrush AI image generator and Bixby's Cocktails magical drink mixer
  */
 
+import qrcode from './vendor/qrcode.mjs';
+
 const MODULE_ID = 'wizzlethorpe-labs';
 const DEFAULT_API_URL = 'https://wizzlethorpe.com';
 
 /**
- * Get the API base URL from settings (allows localhost for dev)
+ * Get the API base URL from settings (a self-hosted server, or wizzlethorpe.com)
  */
 function getApiBaseUrl() {
   try {
-    const customUrl = game.settings.get(MODULE_ID, 'apiBaseUrl');
+    const customUrl = game.settings.get(MODULE_ID, 'apiBaseUrl').trim().replace(/\/+$/, '');
     return customUrl || DEFAULT_API_URL;
   } catch {
     return DEFAULT_API_URL;
   }
 }
 
+/**
+ * API Errors
+ * Every failed request made through WizzlethorpeHttp throws one of these, so callers
+ * can tell an expired link from a spent quota or an unreachable server
+ */
+class WizzlethorpeError extends Error {
+  static i18nKey = 'WIZZLETHORPE.Errors.Server';
+
+  /**
+   * @param {string} [message] - Message from the server; defaults to the localized message for the error type
+   * @param {object} [options]
+   * @param {number|null} [options.status] - HTTP status
+   * @param {string|null} [options.code] - Server error code, e.g. 'quota_exceeded'
+   * @param {Error} [options.cause]
+   */
+  constructor(message, { status = null, code = null, cause } = {}) {
+    super(message || game.i18n.localize(new.target.i18nKey), { cause });
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// The account token is missing, expired or revoked
+class WizzlethorpeAuthError extends WizzlethorpeError {
+  static i18nKey = 'WIZZLETHORPE.Errors.Auth';
+}
+
+// The weekly quota (or the OpenAI account's credit) is used up
+class WizzlethorpeQuotaError extends WizzlethorpeError {
+  static i18nKey = 'WIZZLETHORPE.Errors.Quota';
+}
+
+// The account's tier doesn't include the feature
+class WizzlethorpeSubscriptionError extends WizzlethorpeError {
+  static i18nKey = 'WIZZLETHORPE.Errors.Subscription';
+}
+
+// The server couldn't be reached or didn't answer in time
+class WizzlethorpeNetworkError extends WizzlethorpeError {
+  static i18nKey = 'WIZZLETHORPE.Errors.Network';
+}
+
+// The server answered with an error
+class WizzlethorpeServerError extends WizzlethorpeError {
+  static i18nKey = 'WIZZLETHORPE.Errors.Server';
+}
+
+/**
+ * HTTP Client
+ * Shared by everything that calls the Wizzlethorpe API (and the direct OpenAI client)
+ * Adds timeouts, retries with exponential backoff on 429 and 5xx, and typed errors
+ */
+class WizzlethorpeHttp {
+  static DEFAULT_TIMEOUT_MS = 30 * 1000;
+  static DEFAULT_RETRIES = 2;
+  static BACKOFF_MS = 1000;
+  static MAX_BACKOFF_MS = 30 * 1000;
+
+  static get(path, options = {}) {
+    return this.request(path, { ...options, method: 'GET' });
+  }
+
+  static post(path, body, options = {}) {
+    return this.request(path, { ...options, method: 'POST', body });
+  }
+
+  /**
+   * Send a request and return the parsed response body
+   * @param {string} path - Path below the API base URL, or an absolute URL
+   * @param {object} [options]
+   * @param {string} [options.method='GET']
+   * @param {object|string|FormData} [options.body] - Objects and strings are sent as JSON
+   * @param {boolean|string} [options.auth=false] - true sends the linked account's token and fails without one,
+   *   'optional' sends it if there is one, and any other string is sent as the token
+   * @param {object} [options.headers]
+   * @param {AbortSignal} [options.signal] - Cancels the request; the AbortError is passed through as is
+   * @param {number} [options.timeout] - Milliseconds per attempt, 0 for none
+   * @param {number} [options.retries] - Extra attempts after a 429, a 5xx or (for GET) a network failure
+   * @param {boolean} [options.withResponse=false] - Resolve with `{ data, response }` so headers can be read;
+   *   a 304 then counts as success
+   * @param {string} [options.responseType='json'] - 'blob' resolves successful responses to a Blob, for images
+   * @returns {Promise<any>} The JSON body, or the text of a non-JSON body
+   */
+  static async request(path, {
+    method = 'GET',
+    body,
+    auth = false,
+    headers = {},
+    signal,
+    timeout = this.DEFAULT_TIMEOUT_MS,
+    retries = this.DEFAULT_RETRIES,
+    withResponse = false,
+    responseType = 'json'
+  } = {}) {
+    const url = /^https?:\/\//.test(path) ? path : `${getApiBaseUrl()}${path}`;
+    const requestHeaders = { ...headers };
+
+    const token = auth === true || auth === 'optional' ? WizzlethorpeAPI.getToken() : auth;
+    if (auth === true && !token) {
+      throw new WizzlethorpeAuthError(game.i18n.localize('WIZZLETHORPE.Errors.NotLinked'));
+    }
+    if (token) requestHeaders['Authorization'] = `Bearer ${token}`;
+
+    let payload = body;
+    if (body !== undefined && !(body instanceof FormData)) {
+      requestHeaders['Content-Type'] = 'application/json';
+      if (typeof body !== 'string') payload = JSON.stringify(body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let data;
+      try {
+        response = await fetch(url, { method, headers: requestHeaders, body: payload, signal: this.withTimeout(signal, timeout) });
+        data = responseType === 'blob' && response.ok ? await response.blob() : await this.parseBody(response);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+
+        const networkError = new WizzlethorpeNetworkError(
+          error.name === 'TimeoutError' ? game.i18n.localize('WIZZLETHORPE.Errors.Timeout') : null,
+          { cause: error }
+        );
+        // A write may have reached the server, so only reads are retried
+        if (method !== 'GET' || attempt >= retries) throw networkError;
+        await this.backoff(attempt, null, signal);
+        continue;
+      }
+
+      if (response.ok) return withResponse ? { data, response } : data;
+      if (withResponse && response.status === 304) return { data, response };
+
+      const error = this.toError(response, data);
+      if (!this.isRetryable(error) || attempt >= retries) throw error;
+
+      console.warn(`Wizzlethorpe | ${method} ${path} failed (${response.status}), retrying`);
+      await this.backoff(attempt, response, signal);
+    }
+  }
+
+  /**
+   * Combine the caller's signal with a per-attempt timeout
+   */
+  static withTimeout(signal, timeout) {
+    if (!timeout) return signal;
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    return signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+  }
+
+  /**
+   * Read a response body, tolerating empty and non-JSON bodies (e.g. proxy error pages)
+   */
+  static async parseBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Turn an error response into the matching error class
+   * Understands both `{ error: 'code', message }` and OpenAI's `{ error: { message, code } }`
+   */
+  static toError(response, data) {
+    const { status } = response;
+    let code = null;
+    let message = null;
+
+    if (data && typeof data === 'object') {
+      code = typeof data.error === 'string' ? data.error : data.error?.code ?? null;
+      message = data.message || data.error?.message || null;
+      // Older endpoints put a sentence rather than a code in `error`
+      if (!message && code && /\s/.test(code)) {
+        message = code;
+        code = null;
+      }
+    }
+
+    const options = { status, code };
+    if (code === 'quota_exceeded' || code === 'insufficient_quota') return new WizzlethorpeQuotaError(message, options);
+    if (code === 'subscription_required' || status === 402) return new WizzlethorpeSubscriptionError(message, options);
+    // Only a 401 means the token itself is bad; a 403 is a tier or permission refusal and must not unlink the account
+    if (status === 401) return new WizzlethorpeAuthError(message, options);
+    if (status === 403) return new WizzlethorpeServerError(message || game.i18n.localize('WIZZLETHORPE.Errors.Forbidden'), options);
+    if (status === 429) return new WizzlethorpeServerError(message || game.i18n.localize('WIZZLETHORPE.Errors.RateLimited'), options);
+    return new WizzlethorpeServerError(message || game.i18n.format('WIZZLETHORPE.Errors.Status', { status }), options);
+  }
+
+  static isRetryable(error) {
+    return error instanceof WizzlethorpeServerError && (error.status === 429 || error.status >= 500);
+  }
+
+  /**
+   * Wait before the next attempt, honouring Retry-After when the server sends it
+   */
+  static backoff(attempt, response, signal) {
+    const retryAfter = Number(response?.headers.get('Retry-After'));
+    const delay = retryAfter > 0
+      ? retryAfter * 1000
+      : this.BACKOFF_MS * 2 ** attempt * (1 + Math.random() * 0.25);
+    return QuickbrushProviders.wait(Math.min(delay, this.MAX_BACKOFF_MS), signal);
+  }
+}
+
+/**
+ * Offline cache for content fetched from the server
+ * Responses are kept in IndexedDB with their ETag and Last-Modified headers. Later fetches ask the
+ * server for changes only, and fall back to the cached copy when the server can't be reached
+ */
+class WizzlethorpeCache {
+  static DB_NAME = 'wizzlethorpe-labs';
+  static STORE = 'responses';
+
+  // Keys of cached responses, so the sidebar can check synchronously
+  static keys = new Set();
+  static db = null;
+  static warned = new Set();
+
+  /**
+   * Load the list of cached responses
+   */
+  static async initialize() {
+    try {
+      this.keys = new Set(await this.transaction('readonly', store => store.getAllKeys()));
+    } catch (error) {
+      console.warn('Wizzlethorpe | Offline cache unavailable:', error);
+    }
+  }
+
+  static open() {
+    this.db ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.db;
+  }
+
+  /**
+   * Run one request against the store and resolve with its result once the transaction completes
+   */
+  static async transaction(mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE, mode);
+      const request = callback(tx.objectStore(this.STORE));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Cache key for a path; the server URL is included so switching servers doesn't mix content
+   */
+  static key(path) {
+    return /^https?:\/\//.test(path) ? path : `${getApiBaseUrl()}${path}`;
+  }
+
+  static has(path) {
+    return this.keys.has(this.key(path));
+  }
+
+  /**
+   * @returns {Promise<{data: any, etag: string|null, lastModified: string|null, fetchedAt: number}|null>}
+   */
+  static async read(path) {
+    try {
+      return await this.transaction('readonly', store => store.get(this.key(path))) ?? null;
+    } catch (error) {
+      console.warn('Wizzlethorpe | Failed to read offline cache:', error);
+      return null;
+    }
+  }
+
+  static async write(path, entry) {
+    const key = this.key(path);
+    try {
+      await this.transaction('readwrite', store => store.put(entry, key));
+      this.keys.add(key);
+    } catch (error) {
+      console.warn('Wizzlethorpe | Failed to write offline cache:', error);
+    }
+  }
+
+  /**
+   * Remove every cached response
+   */
+  static async clear() {
+    await this.transaction('readwrite', store => store.clear());
+    this.keys.clear();
+    window.WizzlethorpeLabs?.refreshSidebar?.();
+  }
+
+  /**
+   * GET a path through the cache
+   * Unchanged content (304) is served from the cache, and so is everything while the server is unreachable
+   * @param {string} path
+   * @param {object} [options] - Passed to WizzlethorpeHttp.request
+   */
+  static async get(path, options = {}) {
+    const cached = await this.read(path);
+
+    // Don't wait out the retries when the health check already found the server offline
+    if (cached && WizzlethorpeAPI.capabilities?.online === false) return this.useCached(path, cached);
+
+    const headers = { ...options.headers };
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    else if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    let result;
+    try {
+      result = await WizzlethorpeHttp.request(path, { ...options, method: 'GET', headers, withResponse: true });
+    } catch (error) {
+      if (cached && error instanceof WizzlethorpeNetworkError) return this.useCached(path, cached);
+      throw error;
+    }
+
+    const { data, response } = result;
+    if (response.status === 304 && cached) return cached.data;
+
+    await this.write(path, {
+      data,
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified'),
+      fetchedAt: Date.now()
+    });
+    return data;
+  }
+
+  /**
+   * Serve a cached response while offline, telling the user once per session how old it is
+   */
+  static useCached(path, cached) {
+    const key = this.key(path);
+    if (!this.warned.has(key)) {
+      this.warned.add(key);
+      ui.notifications.warn(game.i18n.format('WIZZLETHORPE.Cache.UsingOffline', {
+        date: new Date(cached.fetchedAt).toLocaleString()
+      }));
+    }
+    return cached.data;
+  }
+}
+
 /**
  * Wizzlethorpe Labs API Client
  * Handles account linking and server-side generation
@@ -59,32 +410,41 @@ class WizzlethorpeAPI {
   }
 
   /**
-   * Start the account linking flow
+   * Request a link code for the account linking flow
+   * @returns {Promise<{linkCode: string, linkUrl: string, expiresAt: number}>}
    */
-  static async startLinking() {
-    try {
-      // Request a link code from the API
-      const response = await fetch(`${getApiBaseUrl()}/api/auth/link`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-      });
+  static async requestLinkCode({ signal } = {}) {
+    const data = await WizzlethorpeHttp.request('/api/auth/link', { method: 'POST', signal });
 
-      if (!response.ok) {
-        throw new Error('Failed to start linking process');
-      }
+    if (!data?.success || !data.linkCode) {
+      throw new WizzlethorpeServerError(game.i18n.localize('WIZZLETHORPE.Errors.InvalidResponse'));
+    }
+
+    return {
+      linkCode: data.linkCode,
+      linkUrl: `${getApiBaseUrl()}/link?code=${data.linkCode}&device=Foundry%20VTT`,
+      // Codes last as long as we poll for them unless the server says otherwise
+      expiresAt: data.expiresAt ? new Date(data.expiresAt).getTime() : Date.now() + this.LINK_TIMEOUT_MS
+    };
+  }
 
-      const data = await response.json();
+  // How long to wait for a link code to be confirmed
+  static LINK_TIMEOUT_MS = 6 * 60 * 1000;
 
-      if (!data.success || !data.linkCode) {
-        throw new Error('Invalid response from server');
-      }
+  /**
+   * Start the account linking flow in a browser window
+   * QuickbrushLinkDialog offers the same flow with a code, QR code and cancel button
+   */
+  static async startLinking({ signal } = {}) {
+    try {
+      // Request a link code from the API
+      const { linkCode, linkUrl, expiresAt } = await this.requestLinkCode({ signal });
 
       // Open the link page in a new browser window
-      const linkUrl = `${getApiBaseUrl()}/link?code=${data.linkCode}&device=Foundry%20VTT`;
       window.open(linkUrl, '_blank', 'width=500,height=600');
 
       // Start polling for completion
-      return await this.pollForLinkCompletion(data.linkCode);
+      return await this.pollForLinkCompletion(linkCode, { signal, expiresAt });
 
     } catch (error) {
       console.error('Wizzlethorpe | Link start error:', error);
@@ -94,14 +454,19 @@ class WizzlethorpeAPI {
 
   /**
    * Poll the API to check if linking is complete
+   * @param {string} linkCode
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Stops polling when aborted
+   * @param {number} [options.expiresAt] - When to give up
+   * @param {number} [options.intervalMs=3000]
    */
-  static async pollForLinkCompletion(linkCode, maxAttempts = 120, intervalMs = 3000) {
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      await new Promise(resolve => setTimeout(resolve, intervalMs));
+  static async pollForLinkCompletion(linkCode, { signal, expiresAt = Date.now() + this.LINK_TIMEOUT_MS, intervalMs = 3000 } = {}) {
+    while (Date.now() < expiresAt) {
+      await QuickbrushProviders.wait(intervalMs, signal);
 
       try {
-        const response = await fetch(`${getApiBaseUrl()}/api/auth/link-status?code=${linkCode}`);
-        const data = await response.json();
+        // The loop is the retry, so each check is a single attempt
+        const data = await WizzlethorpeHttp.get(`/api/auth/link-status?code=${linkCode}`, { signal, retries: 0 });
 
         if (data.status === 'completed' && data.token) {
           // Save the token and account info
@@ -118,7 +483,7 @@ class WizzlethorpeAPI {
 
         // status === 'pending', continue polling
       } catch (error) {
-        if (error.message.includes('expired')) {
+        if (error.name === 'AbortError' || error.message.includes('expired')) {
           throw error;
         }
         console.warn('Wizzlethorpe | Poll error, retrying...', error);
@@ -128,442 +493,3284 @@ class WizzlethorpeAPI {
     throw new Error('Linking timed out. Please try again.');
   }
 
+  /**
+   * Link with a token copied from the web app, e.g. for self-hosted servers
+   * The token is checked against the server before it is saved
+   */
+  static async linkWithToken(token) {
+    const data = await WizzlethorpeHttp.get('/api/auth/me', { auth: token });
+    const user = data.user ?? data;
+
+    await game.settings.set(MODULE_ID, 'wizzlethorpeToken', token);
+    await game.settings.set(MODULE_ID, 'wizzlethorpeAccount', JSON.stringify(user));
+
+    console.log('Wizzlethorpe | Account linked with token:', user.name);
+    return user;
+  }
+
   /**
    * Unlink the Wizzlethorpe account
    */
   static async unlink() {
     await game.settings.set(MODULE_ID, 'wizzlethorpeToken', '');
     await game.settings.set(MODULE_ID, 'wizzlethorpeAccount', '');
+    await game.settings.set(MODULE_ID, 'entitlementCache', '');
     console.log('Wizzlethorpe | Account unlinked');
   }
 
+  // How often the linked account is re-checked while the world is open
+  static ACCOUNT_REFRESH_MS = 30 * 60 * 1000;
+
   /**
-   * Generate an image using the Wizzlethorpe API
+   * Re-check the linked account on startup and then periodically
    */
-  static async generate(params) {
+  static startAccountRefresh() {
+    this.refreshAccount();
+    clearInterval(this._accountRefreshTimer);
+    this._accountRefreshTimer = setInterval(() => this.refreshAccount(), this.ACCOUNT_REFRESH_MS);
+  }
+
+  /**
+   * Validate the token and update the stored account and tier
+   * Keeps the stored account if the server can't be reached
+   * @returns {Promise<object|null>} The current account, or null if not linked
+   */
+  static async refreshAccount() {
     const token = this.getToken();
-    if (!token) {
-      throw new Error('No Wizzlethorpe account linked');
+    if (!token) return null;
+
+    let data;
+    try {
+      data = await WizzlethorpeHttp.get('/api/auth/me', { auth: token });
+    } catch (error) {
+      if (error instanceof WizzlethorpeAuthError) {
+        await this.handleRevokedToken();
+        return null;
+      }
+      console.warn('Wizzlethorpe | Could not refresh the account:', error.message);
+      return this.getLinkedAccount();
     }
 
-    const response = await fetch(`${getApiBaseUrl()}/api/generate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
-      body: JSON.stringify(params)
-    });
+    const user = data.user ?? data;
+    const previous = this.getLinkedAccount();
 
-    const data = await response.json();
+    await game.settings.set(MODULE_ID, 'wizzlethorpeAccount', JSON.stringify(user));
 
-    if (!response.ok) {
-      // Handle specific error cases
-      if (data.error === 'subscription_required') {
-        throw new Error(data.message || 'Subscription required for this feature');
-      }
-      if (data.error === 'quota_exceeded') {
-        throw new Error(data.message || 'Weekly quota exceeded');
-      }
-      throw new Error(data.message || 'Generation failed');
+    if (previous && previous.tierCents !== user.tierCents) {
+      // The cached entitlement still carries the old tier
+      await game.settings.set(MODULE_ID, 'entitlementCache', '');
+      ui.notifications.info(game.i18n.format('WIZZLETHORPE.Account.TierChanged', { tier: user.tierName }), { permanent: false });
     }
 
-    return data;
+    console.log(`Wizzlethorpe | Account refreshed: ${user.name} (${user.tierName})`);
+    window.WizzlethorpeLabs?.refreshSidebar?.();
+    return user;
   }
 
   /**
-   * Check if the user can use server-side generation (has quota)
+   * Forget a token the server no longer accepts and offer to link again
    */
-  static canUseServerGeneration() {
-    const account = this.getLinkedAccount();
-    if (!account) return false;
-    // Alchemist ($5) = 500 cents, Archmage ($10) = 1000 cents
-    return account.tierCents >= 500;
-  }
+  static async handleRevokedToken() {
+    await this.unlink();
+    window.WizzlethorpeLabs?.refreshSidebar?.();
 
-  /**
-   * Check if the user can use BYOK for non-character types
-   */
-  static canUseBYOKAdvanced() {
-    const account = this.getLinkedAccount();
-    if (!account) return false;
-    // Apprentice ($3) = 300 cents
-    return account.tierCents >= 300;
-  }
-}
+    ui.notifications.warn(game.i18n.localize('WIZZLETHORPE.Errors.Auth'), { permanent: true });
 
-/**
- * Account Settings Application
- * Shows the linked account status and allows linking/unlinking
- */
-class QuickbrushAccountSettings extends FormApplication {
-  static get defaultOptions() {
-    return foundry.utils.mergeObject(super.defaultOptions, {
-      id: 'quickbrush-account-settings',
-      title: 'Quickbrush Account Settings',
-      template: 'modules/wizzlethorpe-labs/templates/account-settings.hbs',
-      width: 450,
-      height: 'auto',
-      classes: ['quickbrush-account-settings']
+    const relink = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('WIZZLETHORPE.Settings.AccountSettings.Name') },
+      content: `<p>${game.i18n.localize('WIZZLETHORPE.Account.Revoked')}</p><p>${game.i18n.localize('WIZZLETHORPE.Account.Relink')}</p>`,
+      rejectClose: false
     });
+
+    if (relink) {
+      new QuickbrushAccountSettings().render(true);
+    }
   }
 
-  getData() {
-    const isLinked = WizzlethorpeAPI.isLinked();
-    const account = WizzlethorpeAPI.getLinkedAccount();
+  /**
+   * Move secrets out of the world settings, which are sent to every connected client
+   * Older versions stored the token and API key world-wide; they now live in the GM's browser
+   */
+  static async migrateSecrets() {
+    const worldSettings = game.settings.storage.get('world');
 
-    return {
-      isLinked,
-      account,
-      tierBadgeClass: account ? this.getTierBadgeClass(account.tierName) : '',
-      canUseServerGeneration: WizzlethorpeAPI.canUseServerGeneration(),
-      canUseBYOKAdvanced: WizzlethorpeAPI.canUseBYOKAdvanced()
-    };
-  }
+    for (const key of ['wizzlethorpeToken', 'openaiApiKey']) {
+      const setting = worldSettings.getSetting(`${MODULE_ID}.${key}`);
+      if (!setting) continue;
 
-  getTierBadgeClass(tierName) {
-    const classes = {
-      'Free': 'tier-free',
-      'Apprentice': 'tier-apprentice',
-      'Alchemist': 'tier-alchemist',
-      'Archmage': 'tier-archmage'
-    };
-    return classes[tierName] || 'tier-free';
+      let value;
+      try {
+        value = JSON.parse(setting.value);
+      } catch {
+        value = setting.value;
+      }
+
+      if (value && !game.settings.get(MODULE_ID, key)) {
+        await game.settings.set(MODULE_ID, key, value);
+      }
+      await setting.delete();
+      console.log(`Wizzlethorpe | Moved ${key} from world settings to this browser`);
+    }
   }
 
-  activateListeners(html) {
-    super.activateListeners(html);
+  // Refresh a cached entitlement this long before it expires
+  static ENTITLEMENT_REFRESH_MS = 24 * 60 * 60 * 1000;
 
-    html.find('.link-account-btn').on('click', async (e) => {
-      e.preventDefault();
-      await this.handleLinkAccount();
-    });
+  /**
+   * Get the verified entitlement for the linked account
+   * Entitlements are signed by the server and cached, so tier checks keep working while it is unreachable
+   * @returns {Promise<{tierCents: number, expiresAt: number}>}
+   */
+  static async getEntitlement() {
+    const cached = await this.readCachedEntitlement();
+    if (cached && cached.expiresAt - Date.now() > this.ENTITLEMENT_REFRESH_MS) return cached;
 
-    html.find('.unlink-account-btn').on('click', async (e) => {
-      e.preventDefault();
-      await this.handleUnlinkAccount();
+    // Share one request between parallel variants
+    this._entitlementRequest ??= this.fetchEntitlement().finally(() => {
+      this._entitlementRequest = null;
     });
-  }
 
-  async handleLinkAccount() {
     try {
-      ui.notifications.info('Opening browser window to link your Wizzlethorpe Labs account...', { permanent: false });
-
-      const user = await WizzlethorpeAPI.startLinking();
-
-      ui.notifications.info(`Successfully linked to ${user.name} (${user.tierName})!`, { permanent: true });
-      this.render();
+      return await this._entitlementRequest;
     } catch (error) {
-      console.error('Wizzlethorpe | Link account error:', error);
-      ui.notifications.error(`Failed to link account: ${error.message}`, { permanent: true });
+      // A cached entitlement that hasn't expired yet is still good
+      if (cached && cached.expiresAt > Date.now()) {
+        console.warn('Wizzlethorpe | Could not refresh entitlement, using cached copy', error);
+        return cached;
+      }
+      throw new Error(`Could not verify your Wizzlethorpe Labs subscription: ${error.message}`);
     }
   }
 
-  async handleUnlinkAccount() {
-    const confirmed = await Dialog.confirm({
-      title: 'Unlink Account',
-      content: '<p>Are you sure you want to unlink your Wizzlethorpe Labs account?</p><p>You will need to use your own OpenAI API key for image generation.</p>'
-    });
-
-    if (confirmed) {
-      await WizzlethorpeAPI.unlink();
-      ui.notifications.info('Account unlinked successfully.', { permanent: false });
-      this.render();
+  /**
+   * Fetch, verify and cache a fresh entitlement
+   */
+  static async fetchEntitlement() {
+    // { payload: '<JSON string>', signature: '<base64 ECDSA P-256 signature>' }
+    const signed = await WizzlethorpeHttp.get('/api/entitlement', { auth: true });
+    const entitlement = await this.verifyEntitlement(signed);
+    if (!entitlement) {
+      throw new Error('Entitlement signature is invalid');
     }
-  }
 
-  async _updateObject(event, formData) {
-    // No form data to save - this is just a display dialog
+    await game.settings.set(MODULE_ID, 'entitlementCache', JSON.stringify(signed));
+    return entitlement;
+  }
+
+  /**
+   * Read the cached entitlement, ignoring it if it has been tampered with
+   */
+  static async readCachedEntitlement() {
+    try {
+      const stored = game.settings.get(MODULE_ID, 'entitlementCache');
+      return stored ? await this.verifyEntitlement(JSON.parse(stored)) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check an entitlement's signature against the server's public key
+   * @returns {Promise<object|null>} The entitlement payload, or null if the signature doesn't match
+   */
+  static async verifyEntitlement({ payload, signature }) {
+    const key = await this.getEntitlementKey();
+    const signatureBytes = Uint8Array.from(atob(signature), c => c.charCodeAt(0));
+
+    const valid = await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      signatureBytes,
+      new TextEncoder().encode(payload)
+    );
+    if (!valid) return null;
+
+    const entitlement = JSON.parse(payload);
+    if (!(entitlement.expiresAt > Date.now())) return null;
+
+    // An entitlement only counts for the account it was issued to
+    const account = this.getLinkedAccount();
+    if (account?.id && entitlement.accountId && account.id !== entitlement.accountId) return null;
+
+    return entitlement;
+  }
+
+  // Public keys (P-256 JWKs) that sign entitlements, per server. They ship with the module rather
+  // than being fetched, so neither a key in browser storage nor a different server URL can vouch
+  // for a tier. Direct mode stays out of the settings menu while no server has a key here.
+  static ENTITLEMENT_KEYS = {};
+
+  static _entitlementKeys = new Map();
+
+  /**
+   * Get the key that verifies entitlements from the configured server
+   * Servers without a built-in key can't issue entitlements, so direct mode is unavailable with them
+   */
+  static async getEntitlementKey() {
+    const url = getApiBaseUrl();
+    const jwk = this.ENTITLEMENT_KEYS[url];
+    if (!jwk) {
+      throw new Error(game.i18n.localize('WIZZLETHORPE.Errors.UnknownEntitlementServer'));
+    }
+
+    if (!this._entitlementKeys.has(url)) {
+      this._entitlementKeys.set(url, await crypto.subtle.importKey(
+        'jwk',
+        jwk,
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['verify']
+      ));
+    }
+    return this._entitlementKeys.get(url);
+  }
+
+  // Features the module uses and the route each one needs on the server
+  static FEATURES = {
+    account: '/api/auth/link',
+    generate: '/api/generate',
+    edit: '/api/edit',
+    entitlement: '/api/entitlement',
+    cocktails: '/api/cocktails/foundry',
+    conlang: '/api/conlang/translate'
+  };
+
+  // Result of the last health check, or null before the first one finishes
+  static capabilities = null;
+
+  /**
+   * Whether the module is pointed at a self-hosted server
+   */
+  static isSelfHosted() {
+    return getApiBaseUrl() !== DEFAULT_API_URL;
+  }
+
+  /**
+   * Call the server's health endpoint and work out which features it offers
+   * Servers without a health endpoint are assumed to offer everything
+   * @param {string} [baseUrl] - Server to check, defaults to the configured one
+   * @returns {Promise<{online: boolean, name: string|null, version: string|null, features: object, error: string|null}>}
+   */
+  static async checkServer(baseUrl = getApiBaseUrl()) {
+    const url = baseUrl.replace(/\/+$/, '');
+    const allFeatures = available => Object.fromEntries(Object.keys(this.FEATURES).map(key => [key, available]));
+
+    try {
+      const data = await WizzlethorpeHttp.get(`${url}/api/health`, { timeout: 10000, retries: 0 });
+      const routes = Array.isArray(data?.routes) ? data.routes : null;
+
+      return {
+        online: true,
+        name: data?.name || null,
+        version: data?.version || null,
+        features: routes
+          ? Object.fromEntries(Object.entries(this.FEATURES).map(([key, route]) => [key, routes.includes(route)]))
+          : allFeatures(true),
+        error: null
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return { online: true, name: null, version: null, features: allFeatures(true), error: null };
+      }
+      console.warn(`Wizzlethorpe | Could not reach ${url}`, error);
+      return { online: false, name: null, version: null, features: allFeatures(false), error: error.message };
+    }
+  }
+
+  /**
+   * Re-check the configured server and refresh the sidebar
+   */
+  static async refreshCapabilities() {
+    this.capabilities = await this.checkServer();
+    if (!this.capabilities.online) {
+      console.warn('Wizzlethorpe | Server unavailable, online features are disabled');
+    }
+    window.WizzlethorpeLabs?.refreshSidebar?.();
+    return this.capabilities;
+  }
+
+  /**
+   * Check whether the configured server offers a feature
+   * Features count as available until the first health check says otherwise
+   * @param {string} feature - Key of FEATURES
+   */
+  static supports(feature) {
+    return this.capabilities?.features[feature] ?? true;
+  }
+
+  /**
+   * Generate an image using the Wizzlethorpe API
+   * @param {object} params - Generation parameters
+   * @param {object} options
+   * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+   */
+  static async generate(params, { signal } = {}) {
+    return this.requestImage('/api/generate', params, { signal });
+  }
+
+  /**
+   * Edit an existing image using the Wizzlethorpe API
+   * Only the transparent area of the mask is changed; without a mask the whole image may change
+   * @param {object} params - Generation parameters plus `image` and optional `mask` (base64 data URIs)
+   * @param {object} options
+   * @param {AbortSignal} [options.signal] - Signal used to cancel the request
+   */
+  static async edit(params, { signal } = {}) {
+    return this.requestImage('/api/edit', params, { signal });
+  }
+
+  // Image requests can take a couple of minutes
+  static IMAGE_TIMEOUT_MS = 5 * 60 * 1000;
+
+  /**
+   * Send an image request to the API
+   */
+  static async requestImage(endpoint, params, { signal } = {}) {
+    return WizzlethorpeHttp.post(endpoint, params, { auth: true, signal, timeout: this.IMAGE_TIMEOUT_MS });
+  }
+
+  /**
+   * Check if the user can use server-side generation (has quota)
+   */
+  static canUseServerGeneration() {
+    const account = this.getLinkedAccount();
+    if (!account) return false;
+    // Alchemist ($5) = 500 cents, Archmage ($10) = 1000 cents
+    return account.tierCents >= 500;
+  }
+
+  /**
+   * Get the weekly server generation allowance for the linked tier
+   */
+  static getWeeklyQuota() {
+    const account = this.getLinkedAccount();
+    if (!account) return 0;
+    // Archmage ($10) = 25/week, Alchemist ($5) = 10/week
+    if (account.tierCents >= 1000) return 25;
+    if (account.tierCents >= 500) return 10;
+    return 0;
+  }
+
+  /**
+   * Check if the user can use BYOK for non-character types
+   */
+  static canUseBYOKAdvanced() {
+    const account = this.getLinkedAccount();
+    if (!account) return false;
+    // Apprentice ($3) = 300 cents
+    return account.tierCents >= 300;
+  }
+}
+
+/**
+ * QR Code Renderer
+ * Draws the account linking URL as an SVG QR code (byte mode, error correction level M)
+ */
+class WizzlethorpeQRCode {
+  /**
+   * Encode text as an SVG image
+   * @param {string} text
+   * @param {object} [options]
+   * @param {number} [options.scale=4] - Pixels per module
+   * @param {number} [options.margin=4] - Quiet zone in modules
+   */
+  static toSVG(text, { scale = 4, margin = 4 } = {}) {
+    const matrix = this.encode(text);
+    const size = matrix.length + margin * 2;
+    let path = '';
+    matrix.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * scale}" height="${size * scale}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  /**
+   * Encode text into a matrix of modules (true = dark)
+   */
+  static encode(text) {
+    // Version 0 picks the smallest version the text fits in; link URLs are ASCII, which the
+    // library's default byte conversion handles
+    const code = qrcode(0, 'M');
+    code.addData(text, 'Byte');
+    code.make();
+
+    const size = code.getModuleCount();
+    return Array.from({ length: size }, (_, y) => Array.from({ length: size }, (_, x) => code.isDark(y, x)));
+  }
+}
+
+/**
+ * Account Link Dialog
+ * Shows the link code as text and a QR code while waiting for the link to be confirmed
+ */
+class QuickbrushLinkDialog extends Application {
+  /**
+   * @param {object} options
+   * @param {Function} [options.onLinked] - Called with the linked user
+   */
+  constructor(options = {}) {
+    super(options);
+    this.onLinked = options.onLinked;
+    this.link = null;
+    this.error = null;
+    this.controller = null;
+    this.timer = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'quickbrush-link-dialog',
+      title: game.i18n.localize('WIZZLETHORPE.Link.Title'),
+      template: 'modules/wizzlethorpe-labs/templates/link-dialog.hbs',
+      width: 380,
+      height: 'auto',
+      classes: ['quickbrush-account-settings', 'quickbrush-link-dialog']
+    });
+  }
+
+  getData() {
+    let qrCode = null;
+    if (this.link) {
+      try {
+        qrCode = WizzlethorpeQRCode.toSVG(this.link.linkUrl);
+      } catch (error) {
+        // Very long self-hosted URLs don't fit; the code and button still work
+        console.warn('Wizzlethorpe | Could not draw QR code:', error);
+      }
+    }
+
+    return {
+      link: this.link,
+      qrCode,
+      error: this.error,
+      expired: this.link && Date.now() >= this.link.expiresAt,
+      serverUrl: getApiBaseUrl()
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    if (!this.controller) this.start();
+    this.updateCountdown();
+
+    html.find('.link-open').on('click', (event) => {
+      event.preventDefault();
+      if (this.link) window.open(this.link.linkUrl, '_blank', 'width=500,height=600');
+    });
+
+    html.find('.link-copy').on('click', async (event) => {
+      event.preventDefault();
+      if (!this.link) return;
+      await game.clipboard.copyPlainText(this.link.linkCode);
+      ui.notifications.info(game.i18n.localize('WIZZLETHORPE.Link.Copied'));
+    });
+
+    html.find('.link-restart').on('click', (event) => {
+      event.preventDefault();
+      this.start({ fresh: true });
+    });
+
+    html.find('.link-cancel').on('click', (event) => {
+      event.preventDefault();
+      this.close();
+    });
+
+    html.find('.link-token-form').on('submit', async (event) => {
+      event.preventDefault();
+      const token = html.find('input[name="token"]').val().trim();
+      if (!token) return;
+
+      try {
+        const user = await WizzlethorpeAPI.linkWithToken(token);
+        this.finish(user);
+      } catch (error) {
+        console.error('Wizzlethorpe | Token link error:', error);
+        ui.notifications.error(`Failed to link account: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Get the link code from an earlier attempt, if it is still valid for the configured server
+   */
+  static getPendingLink() {
+    try {
+      const pending = JSON.parse(game.settings.get(MODULE_ID, 'pendingLink') || 'null');
+      return pending && pending.serverUrl === getApiBaseUrl() && pending.expiresAt > Date.now() ? pending : null;
+    } catch {
+      return null;
+    }
+  }
+
+  static async setPendingLink(link) {
+    await game.settings.set(MODULE_ID, 'pendingLink', link ? JSON.stringify({ ...link, serverUrl: getApiBaseUrl() }) : '');
+  }
+
+  /**
+   * Poll until the link code is confirmed, expires or is cancelled
+   * Resumes the code from an earlier attempt unless a fresh one is asked for, so closing the
+   * dialog doesn't throw away a code the user may be confirming on their phone
+   * @param {object} [options]
+   * @param {boolean} [options.fresh=false] - Request a new code even if one is pending
+   */
+  async start({ fresh = false } = {}) {
+    this.controller?.abort();
+    const controller = this.controller = new AbortController();
+    this.link = fresh ? null : QuickbrushLinkDialog.getPendingLink();
+    this.error = null;
+    this.render();
+
+    try {
+      if (!this.link) {
+        this.link = await WizzlethorpeAPI.requestLinkCode({ signal: controller.signal });
+        await QuickbrushLinkDialog.setPendingLink(this.link);
+        this.render();
+      }
+      this.startCountdown();
+
+      const user = await WizzlethorpeAPI.pollForLinkCompletion(this.link.linkCode, {
+        signal: controller.signal,
+        expiresAt: this.link.expiresAt
+      });
+      this.finish(user);
+    } catch (error) {
+      // Closed, or replaced by a newer code; the code stays pending so reopening resumes it
+      if (controller.signal.aborted) return;
+      console.error('Wizzlethorpe | Link account error:', error);
+      this.error = error.message;
+      await QuickbrushLinkDialog.setPendingLink(null);
+      this.stopCountdown();
+      this.render();
+    }
+  }
+
+  finish(user) {
+    QuickbrushLinkDialog.setPendingLink(null);
+    ui.notifications.info(`Successfully linked to ${user.name} (${user.tierName})!`, { permanent: true });
+    this.onLinked?.(user);
+    this.close();
+  }
+
+  startCountdown() {
+    this.stopCountdown();
+    this.timer = setInterval(() => this.updateCountdown(), 1000);
+  }
+
+  stopCountdown() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  updateCountdown() {
+    if (!this.link || !this.element?.length) return;
+    const remaining = Math.max(0, Math.ceil((this.link.expiresAt - Date.now()) / 1000));
+    const minutes = Math.floor(remaining / 60);
+    const seconds = String(remaining % 60).padStart(2, '0');
+    this.element.find('.link-countdown').text(`${minutes}:${seconds}`);
+
+    if (remaining === 0 && this.timer) {
+      // Polling gives up on its own; show the restart button straight away
+      this.controller?.abort();
+      this.stopCountdown();
+      QuickbrushLinkDialog.setPendingLink(null);
+      this.render();
+    }
+  }
+
+  async close(options) {
+    this.controller?.abort();
+    this.stopCountdown();
+    return super.close(options);
+  }
+}
+
+/**
+ * Account Settings Application
+ * Shows the linked account status and allows linking/unlinking
+ */
+class QuickbrushAccountSettings extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'quickbrush-account-settings',
+      title: 'Quickbrush Account Settings',
+      template: 'modules/wizzlethorpe-labs/templates/account-settings.hbs',
+      width: 450,
+      height: 'auto',
+      classes: ['quickbrush-account-settings']
+    });
+  }
+
+  getData() {
+    const isLinked = WizzlethorpeAPI.isLinked();
+    const account = WizzlethorpeAPI.getLinkedAccount();
+
+    return {
+      isLinked,
+      account,
+      openaiApiKey: game.settings.get(MODULE_ID, 'openaiApiKey'),
+      usage: QuickbrushUsage.getDashboard(),
+      tierBadgeClass: account ? this.getTierBadgeClass(account.tierName) : '',
+      canUseServerGeneration: WizzlethorpeAPI.canUseServerGeneration(),
+      canUseBYOKAdvanced: WizzlethorpeAPI.canUseBYOKAdvanced()
+    };
+  }
+
+  getTierBadgeClass(tierName) {
+    const classes = {
+      'Free': 'tier-free',
+      'Apprentice': 'tier-apprentice',
+      'Alchemist': 'tier-alchemist',
+      'Archmage': 'tier-archmage'
+    };
+    return classes[tierName] || 'tier-free';
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('.link-account-btn').on('click', async (e) => {
+      e.preventDefault();
+      await this.handleLinkAccount();
+    });
+
+    html.find('.unlink-account-btn').on('click', async (e) => {
+      e.preventDefault();
+      await this.handleUnlinkAccount();
+    });
+  }
+
+  async handleLinkAccount() {
+    new QuickbrushLinkDialog({
+      onLinked: () => this.render()
+    }).render(true);
+  }
+
+  async handleUnlinkAccount() {
+    const confirmed = await Dialog.confirm({
+      title: 'Unlink Account',
+      content: '<p>Are you sure you want to unlink your Wizzlethorpe Labs account?</p><p>You will need to use your own OpenAI API key for image generation.</p>'
+    });
+
+    if (confirmed) {
+      await WizzlethorpeAPI.unlink();
+      ui.notifications.info('Account unlinked successfully.', { permanent: false });
+      this.render();
+    }
+  }
+
+  async _updateObject(event, formData) {
+    // The only field is the API key, saved to this browser only
+    await game.settings.set(MODULE_ID, 'openaiApiKey', (formData.openaiApiKey || '').trim());
+    ui.notifications.info('OpenAI API key saved in this browser.', { permanent: false });
+  }
+}
+
+/**
+ * Server Settings Application
+ * Points the module at a self-hosted server and tests what it offers
+ */
+class WizzlethorpeServerSettings extends FormApplication {
+  constructor(...args) {
+    super(...args);
+    this.url = game.settings.get(MODULE_ID, 'apiBaseUrl');
+    this.result = null;
+    this.testing = false;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'wizzlethorpe-server-settings',
+      title: game.i18n.localize('WIZZLETHORPE.Server.Title'),
+      template: 'modules/wizzlethorpe-labs/templates/server-settings.hbs',
+      width: 450,
+      height: 'auto',
+      classes: ['quickbrush-account-settings', 'wizzlethorpe-server-settings'],
+      closeOnSubmit: true
+    });
+  }
+
+  getData() {
+    return {
+      url: this.url,
+      defaultUrl: DEFAULT_API_URL,
+      testing: this.testing,
+      result: this.result && {
+        ...this.result,
+        features: Object.entries(this.result.features).map(([key, available]) => ({
+          label: game.i18n.localize(`WIZZLETHORPE.Server.Features.${key}`),
+          route: WizzlethorpeAPI.FEATURES[key],
+          available
+        }))
+      }
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('.server-test-btn').on('click', async (event) => {
+      event.preventDefault();
+      this.url = html.find('input[name="apiBaseUrl"]').val().trim();
+      this.testing = true;
+      this.render();
+
+      this.result = await WizzlethorpeAPI.checkServer(this.url || DEFAULT_API_URL);
+      this.testing = false;
+      this.render();
+    });
+  }
+
+  async _updateObject(event, formData) {
+    const url = (formData.apiBaseUrl || '').trim().replace(/\/+$/, '');
+    await game.settings.set(MODULE_ID, 'apiBaseUrl', url === DEFAULT_API_URL ? '' : url);
+    ui.notifications.info(game.i18n.localize('WIZZLETHORPE.Server.Saved'), { permanent: false });
+  }
+}
+
+/**
+ * Image Generation Dialog
+ */
+class QuickbrushDialog extends FormApplication {
+  constructor(options = {}) {
+    super({}, options);
+    this.data = options.data || {};
+    this.referenceImages = options.data?.referenceImages || [];
+    this.targetDocument = options.targetDocument || null; // Actor or Item to update
+    this.editMask = null; // PNG data URI painted in the mask editor
+  }
+
+  /**
+   * Create a dialog pre-filled with the parameters of a previous generation
+   * @param {object} generation - A gallery record or the generation flag of a document
+   * @param {Document|null} [targetDocument] - Document the new image is for
+   */
+  static fromGeneration(generation, targetDocument = null) {
+    const isToken = generation.outputMode === 'token';
+
+    return new this({
+      targetDocument,
+      data: {
+        text: generation.description,
+        prompt: generation.prompt,
+        // Token images are saved as "<name> Token"
+        image_name: isToken ? generation.imageName.replace(/ Token$/, '') : generation.imageName,
+        generation_type: generation.type,
+        quality: generation.quality,
+        aspect_ratio: generation.aspectRatio,
+        model: generation.model,
+        output_mode: generation.outputMode,
+        token_style: generation.tokenStyle,
+        // Masks aren't stored, so edits have to be repainted
+        operation: generation.editSource ? 'edit' : 'generate',
+        edit_source: generation.editSource,
+        referenceImages: [...(generation.referenceImages || [])]
+      }
+    });
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'quickbrush-dialog',
+      title: game.i18n.localize('QUICKBRUSH.Dialog.Title'),
+      template: 'modules/wizzlethorpe-labs/templates/generate-dialog.hbs',
+      width: 600,
+      height: 700,
+      classes: ['quickbrush-dialog'],
+      closeOnSubmit: false,
+      submitOnChange: false,
+      submitOnClose: false,
+      resizable: true
+    });
+  }
+
+  getData() {
+    // Manually create the options arrays since i18n.localize returns the full nested object
+    const types = [
+      { key: 'character', label: game.i18n.localize('QUICKBRUSH.Dialog.Types.character') },
+      { key: 'scene', label: game.i18n.localize('QUICKBRUSH.Dialog.Types.scene') },
+      { key: 'creature', label: game.i18n.localize('QUICKBRUSH.Dialog.Types.creature') },
+      { key: 'item', label: game.i18n.localize('QUICKBRUSH.Dialog.Types.item') }
+    ].filter(t => game.user.isGM || ['character', 'creature'].includes(t.key)); // Players request images for their actors
+
+    const qualities = [
+      { key: 'low', label: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.low') },
+      { key: 'medium', label: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.medium') },
+      { key: 'high', label: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.high') }
+    ];
+
+    const aspectRatios = [
+      { key: 'square', label: game.i18n.localize('QUICKBRUSH.Dialog.AspectRatios.square') },
+      { key: 'landscape', label: game.i18n.localize('QUICKBRUSH.Dialog.AspectRatios.landscape') },
+      { key: 'portrait', label: game.i18n.localize('QUICKBRUSH.Dialog.AspectRatios.portrait') }
+    ];
+
+    return {
+      text: this.data.text || '',
+      image_name: this.data.image_name || this.targetDocument?.name || '',
+      prompt: this.data.prompt || '',
+      generation_type: this.data.generation_type || 'character',
+      quality: this.data.quality || 'high',
+      aspect_ratio: this.data.aspect_ratio || 'square',
+      variants: this.data.variants || 1,
+      variantCounts: [1, 2, 3, 4],
+      referenceImages: this.referenceImages,
+      targetDocument: this.targetDocument,
+      targetName: this.targetDocument?.name || null,
+      isActorTarget: this.targetDocument?.documentName === 'Actor',
+      // Journal entries have no image of their own to update
+      canUpdateImage: !!this.targetDocument && this.targetDocument.documentName !== 'JournalEntry' && game.user.isGM,
+      create_scene: !!this.data.create_scene,
+      grid_size: this.data.grid_size || 100,
+      sourceJournalName: this.targetDocument?.documentName === 'JournalEntry' ? this.targetDocument.name : null,
+      operation: this.data.operation || 'generate',
+      edit_source: this.data.edit_source || (this.targetDocument && hasCustomImage(this.targetDocument) ? this.targetDocument.img : ''),
+      hasMask: !!this.editMask,
+      // Players send their request to the GM instead of generating themselves
+      isPlayerRequest: !game.user.isGM,
+      operations: [
+        { key: 'generate', label: game.i18n.localize('QUICKBRUSH.Dialog.Operations.generate') },
+        { key: 'edit', label: game.i18n.localize('QUICKBRUSH.Dialog.Operations.edit') }
+      ].filter(o => o.key !== 'edit' || (game.user.isGM && QuickbrushProviders.getActive().supportsEdit)),
+      output_mode: this.data.output_mode || 'image',
+      token_style: this.data.token_style || 'bust',
+      token_source: this.data.token_source || 'generate',
+      types,
+      qualities,
+      aspectRatios,
+      outputModes: [
+        { key: 'image', label: game.i18n.localize('QUICKBRUSH.Dialog.OutputModes.image') },
+        { key: 'token', label: game.i18n.localize('QUICKBRUSH.Dialog.OutputModes.token') }
+      ],
+      tokenStyles: [
+        { key: 'bust', label: game.i18n.localize('QUICKBRUSH.Dialog.TokenStyles.bust') },
+        { key: 'topdown', label: game.i18n.localize('QUICKBRUSH.Dialog.TokenStyles.topdown') }
+      ],
+      tokenSources: [
+        { key: 'generate', label: game.i18n.localize('QUICKBRUSH.Dialog.TokenSources.generate') },
+        { key: 'portrait', label: game.i18n.localize('QUICKBRUSH.Dialog.TokenSources.portrait') }
+      ]
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    // Scene creation only applies to scene images
+    const toggleSceneOptions = () => {
+      html.find('.scene-options').toggle(html.find('select[name="generation_type"]').val() === 'scene');
+    };
+    toggleSceneOptions();
+
+    // Auto-select aspect ratio based on generation type
+    html.find('select[name="generation_type"]').on('change', (event) => {
+      const type = event.target.value;
+      const aspectRatioSelect = html.find('select[name="aspect_ratio"]');
+
+      if (type === 'scene') {
+        aspectRatioSelect.val('landscape');
+      } else {
+        aspectRatioSelect.val('square');
+      }
+
+      toggleSceneOptions();
+    });
+
+    // Show token options only in token mode; edits always produce a plain image
+    // in the shape of the source, so they hide the output and aspect ratio options
+    const toggleTokenOptions = () => {
+      const isEdit = html.find('select[name="operation"]').val() === 'edit';
+      const isToken = !isEdit && html.find('select[name="output_mode"]').val() === 'token';
+      html.find('.edit-options').toggle(isEdit);
+      html.find('.generate-options').toggle(!isEdit);
+      html.find('.token-options').toggle(isToken);
+      html.find('.image-options').toggle(!isToken && !isEdit);
+
+      // Cropping the current portrait doesn't generate anything, so it needs no description
+      const fromPortrait = isToken && html.find('select[name="token_source"]').val() === 'portrait';
+      html.find('textarea[name="text"]').prop('required', !fromPortrait);
+      html.find('.description-required').toggle(!fromPortrait);
+    };
+    html.find('select[name="output_mode"], select[name="operation"], select[name="token_source"]').on('change', toggleTokenOptions);
+    toggleTokenOptions();
+
+    // Pick the image to edit; a new image invalidates the painted mask
+    const setEditSource = (path) => {
+      html.find('input[name="edit_source"]').val(path);
+      html.find('.edit-source-preview').attr('src', path).toggle(!!path);
+      this.editMask = null;
+      html.find('.mask-status').text(game.i18n.localize('QUICKBRUSH.Dialog.MaskNone'));
+    };
+
+    html.find('input[name="edit_source"]').on('change', (event) => setEditSource(event.target.value));
+
+    html.find('.pick-edit-source').on('click', (event) => {
+      event.preventDefault();
+      new FilePicker({
+        type: 'image',
+        current: html.find('input[name="edit_source"]').val(),
+        callback: setEditSource
+      }).browse();
+    });
+
+    html.find('.paint-mask').on('click', (event) => {
+      event.preventDefault();
+      const src = html.find('input[name="edit_source"]').val();
+      if (!src) {
+        ui.notifications.warn('Choose an image to edit first.');
+        return;
+      }
+
+      new QuickbrushMaskEditor(src, {
+        mask: this.editMask,
+        callback: (mask) => {
+          this.editMask = mask;
+          html.find('.mask-status').text(game.i18n.localize(mask ? 'QUICKBRUSH.Dialog.MaskPainted' : 'QUICKBRUSH.Dialog.MaskNone'));
+        }
+      }).render(true);
+    });
+
+    // Reference image picker buttons
+    html.find('.add-reference-image').on('click', (event) => {
+      event.preventDefault();
+      this._pickReferenceImage();
+    });
+
+    // Remove reference image buttons
+    html.find('.remove-reference-image').on('click', (event) => {
+      event.preventDefault();
+      const index = $(event.currentTarget).data('index');
+      this.referenceImages.splice(index, 1);
+      this.render();
+    });
+  }
+
+  async _pickReferenceImage() {
+    const fp = new FilePicker({
+      type: 'image',
+      callback: (path) => {
+        if (this.referenceImages.length < 4) {
+          this.referenceImages.push(path);
+          this.render();
+        } else {
+          ui.notifications.warn('Maximum 4 reference images allowed', { permanent: false });
+        }
+      }
+    });
+    fp.browse();
+  }
+
+  async _updateObject(event, formData) {
+    event.preventDefault();
+
+    const isEdit = formData.operation === 'edit';
+    const isToken = !isEdit && formData.output_mode === 'token' && this.targetDocument?.documentName === 'Actor';
+    const fromPortrait = isToken && formData.token_source === 'portrait';
+
+    // Validate
+    if (!fromPortrait && (!formData.text || !formData.text.trim())) {
+      ui.notifications.warn('Please provide a description for your image.');
+      return;
+    }
+
+    if (!formData.image_name || !formData.image_name.trim()) {
+      ui.notifications.warn('Please provide a name for your image.');
+      return;
+    }
+
+    if (isEdit && !formData.edit_source) {
+      ui.notifications.warn('Please choose an image to edit.');
+      return;
+    }
+
+    if (fromPortrait && !hasCustomImage(this.targetDocument)) {
+      ui.notifications.warn(`"${this.targetDocument.name}" has no portrait to make a token from.`);
+      return;
+    }
+
+    // Check the image provider up front so the user gets immediate feedback
+    // (tokens cut from the existing portrait don't need the API, and players use the GM's provider)
+    if (!fromPortrait && game.user.isGM) {
+      let provider;
+      try {
+        provider = QuickbrushGenerator.resolveProvider();
+      } catch (error) {
+        ui.notifications.error(error.message);
+        return;
+      }
+
+      if (!await QuickbrushUsage.confirmQuota(provider, Number(formData.variants) || 1)) return;
+    }
+
+    const params = {
+      type: formData.generation_type,
+      text: formData.text,
+      prompt: formData.prompt || '',
+      imageName: formData.image_name,
+      quality: formData.quality,
+      aspectRatio: isToken ? 'square' : formData.aspect_ratio,
+      variants: fromPortrait ? 1 : Number(formData.variants) || 1,
+      referenceImages: [...this.referenceImages],
+      model: this.data.model || null,
+      targetUuid: this.targetDocument?.uuid || null,
+      targetName: this.targetDocument?.name || null,
+      autoUpdate: !!(this.targetDocument && formData.auto_update_image),
+      scene: formData.generation_type === 'scene' && formData.create_scene ? {
+        gridSize: Math.max(50, Number(formData.grid_size) || 100),
+        journalUuid: this.targetDocument?.documentName === 'JournalEntry' ? this.targetDocument.uuid : null,
+        pageId: this.data.sourcePageId || null
+      } : null,
+      edit: isEdit ? {
+        source: formData.edit_source,
+        mask: this.editMask
+      } : null,
+      outputMode: isToken ? 'token' : 'image',
+      token: isToken ? {
+        style: formData.token_style,
+        source: formData.token_source,
+        portraitSrc: fromPortrait ? this.targetDocument.img : null,
+        ringColor: formData.token_ring ? QuickbrushTokenizer.getDispositionColor(this.targetDocument) : null,
+        updatePlaced: !!formData.token_update_placed
+      } : null
+    };
+
+    if (!game.user.isGM) {
+      if (!QuickbrushRequests.submit(params)) return;
+      this.close();
+      ui.notifications.info(`Your request for "${params.imageName}" was sent to the GM for approval.`, { permanent: false });
+      return;
+    }
+
+    const job = await QuickbrushJobQueue.enqueue(params);
+
+    // Close the dialog immediately so user can continue working
+    this.close();
+
+    ui.notifications.info(`"${job.params.imageName}" added to the Quickbrush queue. Track its progress in the Wizzlethorpe Labs sidebar.`, { permanent: false });
+  }
+}
+
+/**
+ * Quickbrush Image Providers
+ * Each provider turns a generation request into a base64 PNG.
+ * A provider is a plain object:
+ *   id, label               - Setting value and localization key
+ *   requiresAccount         - Whether a linked Wizzlethorpe account is needed
+ *   supportsEdit            - Whether masked edits are possible
+ *   supportsReferenceImages - Whether reference images are used
+ *   isLocal                 - Runs on the group's own hardware (no quota or cost)
+ *   settings                - Extra world settings, registered on init
+ *   validate()              - Throws a user-facing Error if the provider can't be used
+ *   generate(request, { signal }) - Resolves to { image, description, model, usage? }
+ */
+class QuickbrushProviders {
+  static registry = new Map();
+
+  // Generation sizes for Stable Diffusion based providers
+  static SD_SIZES = {
+    square: { width: 1024, height: 1024 },
+    landscape: { width: 1216, height: 832 },
+    portrait: { width: 832, height: 1216 }
+  };
+
+  // Style guidance for providers that don't refine the description server-side
+  static STYLE_PROMPTS = {
+    character: 'fantasy character portrait, head and shoulders, painterly illustration, detailed face, soft dramatic lighting',
+    scene: 'fantasy landscape, wide establishing shot, painterly illustration, atmospheric lighting, highly detailed',
+    creature: 'fantasy creature, full body, painterly illustration, dynamic pose, highly detailed',
+    item: 'fantasy item, single object centred on a plain background, painterly illustration, highly detailed'
+  };
+
+  /**
+   * Add a provider to the registry
+   * Providers with settings must be registered before the init hook runs
+   */
+  static register(provider) {
+    this.registry.set(provider.id, provider);
+  }
+
+  static get(id) {
+    return this.registry.get(id) || null;
+  }
+
+  /**
+   * Get the provider selected for this world
+   */
+  static getActive() {
+    return this.get(game.settings.get(MODULE_ID, 'imageProvider')) || this.get('wizzlethorpe');
+  }
+
+  /**
+   * Choices for the provider setting
+   */
+  static getChoices() {
+    return Object.fromEntries([...this.registry.values()].map(p => [p.id, p.label]));
+  }
+
+  /**
+   * Register the provider-specific settings
+   */
+  static registerSettings() {
+    for (const provider of this.registry.values()) {
+      for (const [key, config] of Object.entries(provider.settings || {})) {
+        game.settings.register(MODULE_ID, key, {
+          scope: 'world',
+          config: true,
+          ...config,
+          name: game.i18n.localize(config.name),
+          hint: game.i18n.localize(config.hint)
+        });
+      }
+    }
+  }
+
+  /**
+   * Pick a provider for worlds set up before providers existed
+   * Keeps the old behaviour: server generation when allowed, otherwise the OpenAI key
+   */
+  static async migrateLegacyMode() {
+    // Nothing to do once a provider has been saved for this world
+    if (game.settings.storage.get('world').getSetting(`${MODULE_ID}.imageProvider`)) return;
+
+    const useServer = game.settings.get(MODULE_ID, 'useServerMode') && WizzlethorpeAPI.canUseServerGeneration();
+    const provider = !useServer && game.settings.get(MODULE_ID, 'openaiApiKey') ? 'openai' : 'wizzlethorpe';
+    await game.settings.set(MODULE_ID, 'imageProvider', provider);
+    console.log(`Wizzlethorpe | Image provider set to ${provider}`);
+  }
+
+  /**
+   * Build a plain text prompt for providers without description refinement
+   */
+  static buildPrompt(request) {
+    const description = stripHTML(request.text).slice(0, 600);
+    return [request.prompt, description, this.STYLE_PROMPTS[request.type]].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Strip the data URI prefix from a base64 image
+   */
+  static stripDataPrefix(dataUri) {
+    return dataUri.replace(/^data:[^,]+,/, '');
+  }
+
+  /**
+   * Convert an edit mask (opaque = keep) into a Stable Diffusion mask (white = repaint)
+   */
+  static async toInpaintMask(maskDataUri) {
+    const mask = await QuickbrushTokenizer.loadImage(maskDataUri);
+    const canvas = document.createElement('canvas');
+    canvas.width = mask.naturalWidth;
+    canvas.height = mask.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(mask, 0, 0);
+    return canvas.toDataURL('image/png');
+  }
+
+  /**
+   * Get a setting URL without its trailing slash
+   */
+  static getUrl(key) {
+    return (game.settings.get(MODULE_ID, key) || '').trim().replace(/\/+$/, '');
+  }
+
+  /**
+   * Wait before polling again, giving up early if the job is cancelled
+   */
+  static wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      }, { once: true });
+    });
+  }
+}
+
+/**
+ * Direct OpenAI Client
+ * Used by the OpenAI provider in direct mode, so the API key never leaves the browser
+ */
+class QuickbrushOpenAI {
+  static API_URL = 'https://api.openai.com/v1';
+  static REFINE_MODEL = 'gpt-4o-mini';
+
+  static SIZES = {
+    square: '1024x1024',
+    landscape: '1536x1024',
+    portrait: '1024x1536'
+  };
+
+  /**
+   * Make sure the linked tier allows this generation type
+   * Character portraits are free for every linked account; other types need Apprentice ($3)
+   */
+  static async checkTier(type) {
+    const entitlement = await WizzlethorpeAPI.getEntitlement();
+    if (type !== 'character' && entitlement.tierCents < 300) {
+      throw new Error('Creature, scene and item generation with your own key requires an Apprentice subscription ($3/mo).');
+    }
+  }
+
+  /**
+   * Generate or edit an image
+   * @param {object} request - The provider request built by QuickbrushGenerator.generate
+   * @param {object} options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {AbortSignal} [options.signal]
+   */
+  static async generate(request, { apiKey, signal } = {}) {
+    await this.checkTier(request.type);
+
+    const description = await this.refineDescription(request, { apiKey, signal });
+    const prompt = [QuickbrushProviders.STYLE_PROMPTS[request.type], description].filter(Boolean).join('. ');
+    const size = this.SIZES[request.aspectRatio] || this.SIZES.square;
+
+    let response;
+    if (request.image || request.referenceImages?.length) {
+      // Edits and reference images both go through the edits endpoint
+      const form = new FormData();
+      form.append('model', request.model);
+      form.append('prompt', prompt);
+      form.append('size', size);
+      form.append('quality', request.quality);
+      if (request.background) form.append('background', request.background);
+
+      const images = [request.image, ...(request.referenceImages || [])].filter(Boolean);
+      for (const [i, dataUri] of images.entries()) {
+        form.append('image[]', this.dataUriToBlob(dataUri), `image-${i}.png`);
+      }
+      if (request.image && request.mask) {
+        form.append('mask', this.dataUriToBlob(request.mask), 'mask.png');
+      }
+
+      response = await this.request('/images/edits', { apiKey, signal, body: form });
+    } else {
+      response = await this.request('/images/generations', {
+        apiKey,
+        signal,
+        body: JSON.stringify({
+          model: request.model,
+          prompt,
+          size,
+          quality: request.quality,
+          n: 1,
+          ...(request.background ? { background: request.background } : {})
+        })
+      });
+    }
+
+    const image = response.data?.[0]?.b64_json;
+    if (!image) {
+      throw new Error('OpenAI returned no image');
+    }
+
+    return { image, description, model: request.model };
+  }
+
+  /**
+   * Boil long-form text down to the visual description, as the server does
+   */
+  static async refineDescription(request, { apiKey, signal }) {
+    const text = stripHTML(request.text);
+    if (!text) return request.prompt || '';
+
+    const subject = request.image ? 'the change to make to an existing image' : `a ${request.type}`;
+    const response = await this.request('/chat/completions', {
+      apiKey,
+      signal,
+      body: JSON.stringify({
+        model: this.REFINE_MODEL,
+        messages: [
+          {
+            role: 'system',
+            content: `You write prompts for a fantasy illustrator. From the user's notes, describe only what is visible in ${subject}: appearance, clothing, setting and mood. Ignore game statistics and backstory. If specific instructions are given they take priority over the notes. Reply with one paragraph of at most 80 words.`
+          },
+          {
+            role: 'user',
+            content: request.prompt ? `Instructions: ${request.prompt}\n\nNotes: ${text}` : `Notes: ${text}`
+          }
+        ]
+      })
+    });
+
+    return response.choices?.[0]?.message?.content?.trim() || text;
+  }
+
+  /**
+   * Call the OpenAI API and surface its error message
+   */
+  static async request(path, { apiKey, signal, body }) {
+    return WizzlethorpeHttp.post(`${this.API_URL}${path}`, body, {
+      auth: apiKey,
+      signal,
+      timeout: WizzlethorpeAPI.IMAGE_TIMEOUT_MS
+    });
+  }
+
+  static dataUriToBlob(dataUri) {
+    const [header, base64] = dataUri.split(',');
+    const type = header.match(/data:([^;]+)/)?.[1] || 'image/png';
+    const blob = QuickbrushGenerator.base64ToBlob(base64);
+    return new Blob([blob], { type });
+  }
+}
+
+/**
+ * Build a provider error with a localized message
+ * @param {string} key - Key under WIZZLETHORPE.Errors
+ * @param {object} [data] - Values for the message's placeholders
+ * @param {Error} [cause]
+ */
+function providerError(key, data, cause) {
+  const message = data
+    ? game.i18n.format(`WIZZLETHORPE.Errors.${key}`, data)
+    : game.i18n.localize(`WIZZLETHORPE.Errors.${key}`);
+  return new Error(message, cause ? { cause } : undefined);
+}
+
+QuickbrushProviders.register({
+  id: 'wizzlethorpe',
+  label: 'QUICKBRUSH.Providers.wizzlethorpe',
+  requiresAccount: true,
+  get supportsEdit() {
+    return WizzlethorpeAPI.supports('edit');
+  },
+  supportsReferenceImages: true,
+  isLocal: false,
+  validate() {
+    if (!WizzlethorpeAPI.supports('generate')) throw providerError('ServerUnavailable');
+    if (!WizzlethorpeAPI.isLinked()) throw providerError('LinkAccount');
+    if (!WizzlethorpeAPI.canUseServerGeneration()) {
+      throw providerError('ServerTier');
+    }
+  },
+  generate(request, { signal } = {}) {
+    return request.image
+      ? WizzlethorpeAPI.edit(request, { signal })
+      : WizzlethorpeAPI.generate(request, { signal });
+  }
+});
+
+QuickbrushProviders.register({
+  id: 'openai',
+  label: 'QUICKBRUSH.Providers.openai',
+  requiresAccount: true,
+  get supportsEdit() {
+    return game.settings.get(MODULE_ID, 'openaiDirect') || WizzlethorpeAPI.supports('edit');
+  },
+  supportsReferenceImages: true,
+  isLocal: false,
+  validate() {
+    if (!game.settings.get(MODULE_ID, 'openaiDirect') && !WizzlethorpeAPI.supports('generate')) {
+      throw providerError('ServerUnavailable');
+    }
+    if (!WizzlethorpeAPI.isLinked()) throw providerError('LinkAccount');
+    if (!game.settings.get(MODULE_ID, 'openaiApiKey')) {
+      throw providerError('OpenAIKey');
+    }
+  },
+  generate(request, { signal } = {}) {
+    const apiKey = game.settings.get(MODULE_ID, 'openaiApiKey');
+
+    // Direct mode keeps the key in the browser and checks the tier against a signed entitlement
+    if (game.settings.get(MODULE_ID, 'openaiDirect')) {
+      return QuickbrushOpenAI.generate(request, { apiKey, signal });
+    }
+
+    // Otherwise route through the Wizzlethorpe API, which applies tier limits
+    const params = { ...request, apiKey };
+    return request.image
+      ? WizzlethorpeAPI.edit(params, { signal })
+      : WizzlethorpeAPI.generate(params, { signal });
+  }
+});
+
+QuickbrushProviders.register({
+  id: 'automatic1111',
+  label: 'QUICKBRUSH.Providers.automatic1111',
+  requiresAccount: false,
+  supportsEdit: true,
+  supportsReferenceImages: false,
+  isLocal: true,
+  settings: {
+    a1111Url: {
+      name: 'QUICKBRUSH.Settings.A1111Url.Name',
+      hint: 'QUICKBRUSH.Settings.A1111Url.Hint',
+      type: String,
+      default: 'http://127.0.0.1:7860'
+    },
+    a1111Steps: {
+      name: 'QUICKBRUSH.Settings.A1111Steps.Name',
+      hint: 'QUICKBRUSH.Settings.A1111Steps.Hint',
+      type: Number,
+      range: { min: 1, max: 150, step: 1 },
+      default: 30
+    },
+    sdNegativePrompt: {
+      name: 'QUICKBRUSH.Settings.SdNegativePrompt.Name',
+      hint: 'QUICKBRUSH.Settings.SdNegativePrompt.Hint',
+      type: String,
+      default: 'blurry, low quality, deformed, watermark, text, signature'
+    }
+  },
+  validate() {
+    if (!QuickbrushProviders.getUrl('a1111Url')) {
+      throw providerError('Automatic1111.NoUrl');
+    }
+  },
+  async generate(request, { signal } = {}) {
+    const prompt = QuickbrushProviders.buildPrompt(request);
+    const { width, height } = QuickbrushProviders.SD_SIZES[request.aspectRatio] || QuickbrushProviders.SD_SIZES.square;
+
+    const body = {
+      prompt,
+      negative_prompt: game.settings.get(MODULE_ID, 'sdNegativePrompt'),
+      width,
+      height,
+      steps: game.settings.get(MODULE_ID, 'a1111Steps'),
+      cfg_scale: 7,
+      batch_size: 1
+    };
+
+    let endpoint = 'txt2img';
+    if (request.image) {
+      endpoint = 'img2img';
+      body.init_images = [request.image];
+      body.denoising_strength = 0.75;
+      if (request.mask) {
+        body.mask = await QuickbrushProviders.toInpaintMask(request.mask);
+        body.inpainting_fill = 1; // Start from the original content
+      }
+    }
+
+    // Local GPUs are slow; a failed generation isn't retried as it would only fail again
+    const data = await WizzlethorpeHttp.post(`${QuickbrushProviders.getUrl('a1111Url')}/sdapi/v1/${endpoint}`, body, {
+      signal,
+      timeout: WizzlethorpeAPI.IMAGE_TIMEOUT_MS,
+      retries: 0
+    });
+
+    if (!data?.images?.length) {
+      throw providerError('Automatic1111.NoImage');
+    }
+
+    let model = 'automatic1111';
+    try {
+      model = JSON.parse(data.info).sd_model_name || model;
+    } catch {
+      // info is optional
+    }
+
+    return { image: QuickbrushProviders.stripDataPrefix(data.images[0]), description: prompt, model };
+  }
+});
+
+QuickbrushProviders.register({
+  id: 'comfyui',
+  label: 'QUICKBRUSH.Providers.comfyui',
+  requiresAccount: false,
+  supportsEdit: false,
+  supportsReferenceImages: false,
+  isLocal: true,
+  // How often and how long to poll the history for the finished image
+  POLL_INTERVAL_MS: 1000,
+  MAX_POLLS: 600,
+  TIMEOUT_MS: 10 * 60 * 1000,
+  settings: {
+    comfyUrl: {
+      name: 'QUICKBRUSH.Settings.ComfyUrl.Name',
+      hint: 'QUICKBRUSH.Settings.ComfyUrl.Hint',
+      type: String,
+      default: 'http://127.0.0.1:8188'
+    },
+    comfyWorkflow: {
+      name: 'QUICKBRUSH.Settings.ComfyWorkflow.Name',
+      hint: 'QUICKBRUSH.Settings.ComfyWorkflow.Hint',
+      type: String,
+      filePicker: 'any',
+      default: ''
+    }
+  },
+  validate() {
+    if (!QuickbrushProviders.getUrl('comfyUrl')) {
+      throw providerError('ComfyUI.NoUrl');
+    }
+    if (!game.settings.get(MODULE_ID, 'comfyWorkflow')) {
+      throw providerError('ComfyUI.NoWorkflow');
+    }
+  },
+  async generate(request, { signal } = {}) {
+    const baseUrl = QuickbrushProviders.getUrl('comfyUrl');
+    const prompt = QuickbrushProviders.buildPrompt(request);
+    const { width, height } = QuickbrushProviders.SD_SIZES[request.aspectRatio] || QuickbrushProviders.SD_SIZES.square;
+
+    // The workflow is a file in Foundry's data folder, so resolve it against the page rather than the API
+    const workflowUrl = new URL(game.settings.get(MODULE_ID, 'comfyWorkflow'), document.baseURI).href;
+    let template;
+    try {
+      template = await WizzlethorpeHttp.get(workflowUrl, { signal });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      throw providerError('ComfyUI.WorkflowLoad', { error: error.message }, error);
+    }
+    if (!template || typeof template !== 'object') {
+      throw providerError('ComfyUI.WorkflowInvalid');
+    }
+
+    // Fill in the placeholders; whole-value placeholders keep their type so sizes stay numbers
+    const values = {
+      '%prompt%': prompt,
+      '%negative_prompt%': game.settings.get(MODULE_ID, 'sdNegativePrompt'),
+      '%width%': width,
+      '%height%': height,
+      '%seed%': Math.floor(Math.random() * Number.MAX_SAFE_INTEGER)
+    };
+    const fill = (value) => {
+      if (Array.isArray(value)) return value.map(fill);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v)]));
+      }
+      if (typeof value === 'string') {
+        if (value in values) return values[value];
+        return value.replace(/%\w+%/g, (match) => (match in values ? String(values[match]) : match));
+      }
+      return value;
+    };
+    const workflow = fill(template);
+
+    let promptId;
+    try {
+      const queued = await WizzlethorpeHttp.post(`${baseUrl}/prompt`, {
+        prompt: workflow,
+        client_id: `quickbrush-${game.user.id}`
+      }, { signal, retries: 0 });
+      promptId = queued?.prompt_id;
+    } catch (error) {
+      if (signal?.aborted || !error.status) throw error;
+      throw providerError('ComfyUI.Rejected', { status: error.status, error: error.message }, error);
+    }
+    if (!promptId) {
+      throw providerError('ComfyUI.NoPromptId');
+    }
+
+    // Poll the history until the workflow has produced an image, giving up after the deadline
+    const deadline = Date.now() + this.TIMEOUT_MS;
+    for (let attempt = 0; attempt < this.MAX_POLLS && Date.now() < deadline; attempt++) {
+      await QuickbrushProviders.wait(this.POLL_INTERVAL_MS, signal);
+
+      const history = await WizzlethorpeHttp.get(`${baseUrl}/history/${promptId}`, { signal });
+      const entry = history?.[promptId];
+      if (!entry) continue;
+
+      if (entry.status?.status_str === 'error') {
+        throw providerError('ComfyUI.Failed');
+      }
+
+      const output = Object.values(entry.outputs || {}).find(o => o.images?.length);
+      if (!output) {
+        if (entry.status?.completed) throw providerError('ComfyUI.NoImage');
+        continue;
+      }
+
+      const { filename, subfolder, type } = output.images[0];
+      const query = new URLSearchParams({ filename, subfolder, type });
+      const image = await WizzlethorpeHttp.get(`${baseUrl}/view?${query}`, { signal, responseType: 'blob' });
+      const dataUri = await QuickbrushGenerator.blobToBase64(image);
+
+      return { image: QuickbrushProviders.stripDataPrefix(dataUri), description: prompt, model: 'comfyui' };
+    }
+
+    throw providerError('ComfyUI.Timeout', { minutes: Math.round(this.TIMEOUT_MS / 60000) });
+  }
+});
+
+/**
+ * Quickbrush Generator
+ * The generation pipeline shared by the dialog and the job queue
+ */
+class QuickbrushGenerator {
+  // Approximate OpenAI cost per image in USD (square images)
+  static COST_ESTIMATES = {
+    'gpt-image-1-mini': { low: 0.005, medium: 0.011, high: 0.036 },
+    'gpt-image-1': { low: 0.011, medium: 0.042, high: 0.167 }
+  };
+
+  /**
+   * Estimate the BYOK cost of generating a number of images
+   */
+  static estimateCost(count, quality, model = game.settings.get(MODULE_ID, 'imageModel')) {
+    const perImage = this.COST_ESTIMATES[model]?.[quality] ?? this.COST_ESTIMATES['gpt-image-1'].high;
+    return count * perImage;
+  }
+
+  /**
+   * Get the image provider selected for this world
+   * Throws a user-facing error if generation isn't possible
+   */
+  static resolveProvider() {
+    const provider = QuickbrushProviders.getActive();
+    provider.validate();
+    return provider;
+  }
+
+  /**
+   * Read a Blob as a base64 data URI
+   */
+  static blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result);
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Convert image paths to base64 data URIs
+   * This ensures images can be sent to OpenAI API
+   */
+  static async convertImagesToBase64(imagePaths) {
+    const base64Images = [];
+
+    for (const imagePath of imagePaths) {
+      try {
+        // Fetch the image
+        const response = await fetch(imagePath);
+        if (!response.ok) {
+          console.warn(`Failed to fetch reference image: ${imagePath}`);
+          continue;
+        }
+
+        // Get the blob and convert it to base64
+        const blob = await response.blob();
+        base64Images.push(await this.blobToBase64(blob));
+      } catch (error) {
+        console.warn(`Error converting image to base64: ${imagePath}`, error);
+      }
+    }
+
+    return base64Images;
+  }
+
+  /**
+   * Request one or more images from the API
+   * Variants are requested in parallel; failed variants are dropped unless all of them fail
+   * @param {object} params - Job parameters (see QuickbrushJobQueue.enqueue)
+   * @param {object} options
+   * @param {AbortSignal} [options.signal] - Signal used to cancel the requests
+   * @param {number} [options.count=1] - Number of variants to generate
+   * @returns {Promise<Array<{image: string, description: string, usage: object}>>}
+   */
+  static async generate(params, { signal, count = 1 } = {}) {
+    const provider = this.resolveProvider();
+
+    if (params.edit && !provider.supportsEdit) {
+      throw new Error(`${game.i18n.localize(provider.label)} can't edit images. Choose another image provider in the module settings.`);
+    }
+
+    // Convert reference images to base64 data URIs
+    const referenceImagePaths = provider.supportsReferenceImages ? params.referenceImages || [] : [];
+    const base64ReferenceImages = referenceImagePaths.length > 0
+      ? await this.convertImagesToBase64(referenceImagePaths)
+      : [];
+
+    // Regenerations reuse the model of the original image
+    const imageModel = params.model || game.settings.get(MODULE_ID, 'imageModel') || 'gpt-image-1-mini';
+
+    // Build generation params
+    const generateParams = {
+      type: params.type,
+      text: params.text,
+      prompt: params.prompt || '',
+      referenceImages: base64ReferenceImages,
+      model: imageModel,
+      quality: params.quality,
+      aspectRatio: params.aspectRatio
+    };
+
+    // Edits keep the shape of the source image
+    if (params.edit) {
+      const [image] = await this.convertImagesToBase64([params.edit.source]);
+      if (!image) {
+        throw new Error(`Could not load the image to edit: ${params.edit.source}`);
+      }
+      generateParams.image = image;
+      generateParams.mask = params.edit.mask || null;
+      generateParams.aspectRatio = await this.getAspectRatio(params.edit.source);
+    }
+
+    // Tokens need a centred subject on a transparent background
+    if (params.outputMode === 'token') {
+      const framing = QuickbrushTokenizer.TOKEN_PROMPTS[params.token?.style] || QuickbrushTokenizer.TOKEN_PROMPTS.bust;
+      generateParams.prompt = [framing, generateParams.prompt].filter(Boolean).join(' ');
+      generateParams.aspectRatio = 'square';
+      generateParams.background = 'transparent';
+    }
+
+    console.log(`Quickbrush | Generating with provider: ${provider.id}`);
+
+    const settled = await Promise.allSettled(
+      Array.from({ length: count }, () => provider.generate(generateParams, { signal }))
+    );
+
+    const results = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+    if (results.length === 0) {
+      throw settled[0].reason;
+    }
+
+    for (const failed of settled.filter(r => r.status === 'rejected')) {
+      console.warn('Quickbrush | Variant failed:', failed.reason);
+    }
+
+    // Track quota and spend
+    const usage = results[results.length - 1].usage;
+    if (usage) {
+      console.log(`Quickbrush | Usage: ${usage.used}/${usage.limit} this week`);
+    }
+    // The images exist and are paid for, so a failure to record usage mustn't fail the generation
+    try {
+      await QuickbrushUsage.record(provider, {
+        model: results[0].model || imageModel,
+        quality: params.quality,
+        count: results.length,
+        usage
+      });
+    } catch (error) {
+      console.error('Quickbrush | Failed to record usage:', error);
+    }
+
+    return results;
+  }
+
+  /**
+   * Pick the aspect ratio closest to an image's shape
+   */
+  static async getAspectRatio(src) {
+    const img = await QuickbrushTokenizer.loadImage(src);
+    const ratio = img.naturalWidth / img.naturalHeight;
+    if (ratio > 1.2) return 'landscape';
+    if (ratio < 0.83) return 'portrait';
+    return 'square';
+  }
+
+  /**
+   * Convert a base64 PNG to a Blob
+   */
+  static base64ToBlob(base64Image) {
+    const binaryString = atob(base64Image);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+      bytes[i] = binaryString.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: 'image/png' });
+  }
+
+  /**
+   * Upload a generated image to the save folder
+   * @returns {Promise<string>} The uploaded file path
+   */
+  static async saveImage(imageBlob, imageName) {
+    const folder = await QuickbrushGallery.getOrCreateFolder();
+
+    // Use image name if available
+    const sanitized = imageName.replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-');
+    const filename = `${sanitized}-${Date.now()}.png`;
+
+    const file = new File([imageBlob], filename, { type: 'image/png' });
+
+    const uploadResult = await FilePicker.upload('data', folder, file);
+    return uploadResult.path;
+  }
+
+  /**
+   * Set a generated image as a document's image
+   * Tokens go to the actor's prototype token and, optionally, its tokens on the current scene
+   * @returns {Promise<boolean>} Whether the update succeeded
+   */
+  static async applyToDocument(document, imagePath, { outputMode = 'image', updatePlaced = false } = {}) {
+    try {
+      if (outputMode !== 'token') {
+        await document.update({ img: imagePath });
+        return true;
+      }
+
+      await document.update({ 'prototypeToken.texture.src': imagePath });
+
+      if (updatePlaced && canvas.scene) {
+        const updates = canvas.scene.tokens
+          .filter(t => t.actorId === document.id)
+          .map(t => ({ _id: t.id, 'texture.src': imagePath }));
+        if (updates.length > 0) {
+          await canvas.scene.updateEmbeddedDocuments('Token', updates);
+        }
+      }
+      return true;
+    } catch (err) {
+      console.error('Failed to update document image:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Create a gridded, wall-free Scene with a generated image as its background
+   * @param {string} imagePath - Uploaded background image
+   * @param {string} name - Scene name
+   * @param {object} options
+   * @param {number} options.gridSize - Grid size in pixels
+   * @param {string|null} [options.journalUuid] - Journal entry to attach as the scene's notes
+   * @param {string|null} [options.pageId] - Journal page to open from the scene
+   */
+  static async createScene(imagePath, name, { gridSize = 100, journalUuid = null, pageId = null } = {}) {
+    // Size the scene to the image so the background isn't stretched
+    const img = await QuickbrushTokenizer.loadImage(imagePath);
+
+    const journal = journalUuid ? await fromUuid(journalUuid) : null;
+
+    const scene = await Scene.create({
+      name,
+      background: { src: imagePath },
+      width: img.naturalWidth,
+      height: img.naturalHeight,
+      padding: 0,
+      grid: { size: gridSize },
+      tokenVision: false,
+      journal: journal?.id || null,
+      journalEntryPage: journal && pageId && journal.pages.has(pageId) ? pageId : null
+    });
+
+    try {
+      const thumb = await scene.createThumbnail();
+      await scene.update({ thumb: thumb.thumb });
+    } catch (err) {
+      console.warn('Wizzlethorpe | Failed to create scene thumbnail:', err);
+    }
+
+    return scene;
+  }
+}
+
+/**
+ * Quickbrush Usage Tracking
+ * Remembers the server quota reported with each generation and the estimated spend of BYOK images
+ */
+class QuickbrushUsage {
+  static HISTORY_WEEKS = 12;
+
+  static getData() {
+    try {
+      const stored = game.settings.get(MODULE_ID, 'usageHistory');
+      const data = stored ? JSON.parse(stored) : {};
+      return { quota: null, weeks: {}, spend: {}, ...data };
+    } catch {
+      return { quota: null, weeks: {}, spend: {} };
+    }
+  }
+
+  /**
+   * Key for the week (starting Monday, UTC) a timestamp falls in
+   */
+  static getWeekKey(time = Date.now()) {
+    const date = new Date(time);
+    const day = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - day);
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Start of next week, used when the server doesn't say when the quota resets
+   */
+  static getNextReset() {
+    const start = new Date(`${this.getWeekKey()}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() + 7);
+    return start.getTime();
+  }
+
+  /**
+   * Record a finished generation
+   * @param {object} provider - The provider that generated the images
+   * @param {object} details
+   * @param {string} details.model
+   * @param {string} details.quality
+   * @param {number} details.count - Number of images generated
+   * @param {object} [details.usage] - Usage reported by the server ({ used, limit, resetsAt })
+   */
+  static async record(provider, { model, quality, count, usage }) {
+    const data = this.getData();
+    const week = this.getWeekKey();
+    data.weeks[week] ??= { server: 0, byok: 0, local: 0, cost: 0 };
+
+    if (provider.isLocal) {
+      data.weeks[week].local += count;
+    } else if (provider.id === 'wizzlethorpe') {
+      data.weeks[week].server += count;
+    } else {
+      const cost = QuickbrushGenerator.estimateCost(count, quality, model);
+      data.weeks[week].byok += count;
+      data.weeks[week].cost += cost;
+
+      data.spend[model] ??= {};
+      data.spend[model][quality] ??= { count: 0, cost: 0 };
+      data.spend[model][quality].count += count;
+      data.spend[model][quality].cost += cost;
+    }
+
+    if (usage) {
+      data.quota = {
+        used: usage.used,
+        limit: usage.limit,
+        resetsAt: usage.resetsAt ? new Date(usage.resetsAt).getTime() : this.getNextReset(),
+        updatedAt: Date.now()
+      };
+    }
+
+    // Only keep recent weeks
+    const weeks = Object.keys(data.weeks).sort();
+    for (const old of weeks.slice(0, -this.HISTORY_WEEKS)) delete data.weeks[old];
+
+    await game.settings.set(MODULE_ID, 'usageHistory', JSON.stringify(data));
+    window.WizzlethorpeLabs?.refreshSidebar?.();
+  }
+
+  /**
+   * Get the current server quota
+   * Falls back to the tier allowance until the server has reported usage
+   * @returns {{used: number, limit: number, remaining: number, resetsAt: number}}
+   */
+  static getQuota() {
+    const quota = this.getData().quota;
+    const limit = quota?.limit ?? WizzlethorpeAPI.getWeeklyQuota();
+
+    // The last report is stale once the week has rolled over
+    if (!quota || quota.resetsAt <= Date.now()) {
+      return { used: 0, limit, remaining: limit, resetsAt: this.getNextReset() };
+    }
+
+    return { used: quota.used, limit, remaining: Math.max(0, limit - quota.used), resetsAt: quota.resetsAt };
+  }
+
+  /**
+   * Check whether generating a number of images on the server would go over the weekly quota
+   */
+  static wouldExceedQuota(count) {
+    return count > this.getQuota().remaining;
+  }
+
+  /**
+   * Ask before queueing server generations that would go over the weekly quota
+   * @returns {Promise<boolean>} Whether to go ahead
+   */
+  static async confirmQuota(provider, count) {
+    if (provider.id !== 'wizzlethorpe' || !this.wouldExceedQuota(count)) return true;
+
+    const { remaining, limit } = this.getQuota();
+    return foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Weekly Quota' },
+      content: `<p>This needs ${count} server image(s), but only ${remaining} of your ${limit} weekly images are left. Generations over the limit will fail.</p><p>Queue it anyway?</p>`,
+      rejectClose: false
+    });
+  }
+
+  /**
+   * Data for the usage dashboard
+   */
+  static getDashboard() {
+    const data = this.getData();
+    const quota = this.getQuota();
+
+    // Fill in empty weeks so the chart has a bar for each
+    const weeks = [];
+    const start = new Date(`${this.getWeekKey()}T00:00:00Z`);
+    for (let i = this.HISTORY_WEEKS - 1; i >= 0; i--) {
+      const date = new Date(start);
+      date.setUTCDate(date.getUTCDate() - i * 7);
+      const key = date.toISOString().slice(0, 10);
+      weeks.push({
+        key,
+        label: date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+        server: 0,
+        byok: 0,
+        local: 0,
+        cost: 0,
+        ...data.weeks[key]
+      });
+    }
+
+    const max = Math.max(1, ...weeks.map(w => w.server + w.byok + w.local));
+    for (const week of weeks) {
+      week.total = week.server + week.byok + week.local;
+      week.serverHeight = Math.round((week.server / max) * 100);
+      week.byokHeight = Math.round((week.byok / max) * 100);
+      week.localHeight = Math.round((week.local / max) * 100);
+    }
+
+    const spend = [];
+    let totalCost = 0;
+    for (const [model, qualities] of Object.entries(data.spend)) {
+      for (const [quality, { count, cost }] of Object.entries(qualities)) {
+        spend.push({ model, quality, count, cost: cost.toFixed(2) });
+        totalCost += cost;
+      }
+    }
+
+    return {
+      quota: {
+        ...quota,
+        percent: quota.limit ? Math.round((quota.used / quota.limit) * 100) : 0,
+        resetsLabel: new Date(quota.resetsAt).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+      },
+      weeks,
+      spend,
+      totalCost: totalCost.toFixed(2),
+      hasHistory: weeks.some(w => w.total > 0)
+    };
+  }
+}
+
+/**
+ * Quickbrush Tokenizer
+ * Turns square artwork into circular token images
+ */
+class QuickbrushTokenizer {
+  static TOKEN_SIZE = 512;
+  static RING_WIDTH = 16;
+
+  static TOKEN_PROMPTS = {
+    bust: 'Head and shoulders bust, centred and facing the viewer, filling the frame, for use as a circular virtual tabletop token. Transparent background, no scenery, no border.',
+    topdown: 'Top-down view from directly above, subject centred and filling the frame, for use as a circular virtual tabletop token. Transparent background, no scenery, no border.'
+  };
+
+  // Ring colours keyed by CONST.TOKEN_DISPOSITIONS value
+  static DISPOSITION_COLORS = {
+    [-2]: '#9b59b6', // Secret
+    [-1]: '#ef4444', // Hostile
+    [0]: '#fbbf24', // Neutral
+    [1]: '#4ade80' // Friendly
+  };
+
+  /**
+   * Get the ring colour for an actor's prototype token disposition
+   */
+  static getDispositionColor(actor) {
+    const disposition = actor?.prototypeToken?.disposition ?? CONST.TOKEN_DISPOSITIONS.NEUTRAL;
+    return this.DISPOSITION_COLORS[disposition] || this.DISPOSITION_COLORS[0];
+  }
+
+  /**
+   * Load an image element from a URL or data URI
+   */
+  static loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Failed to load image: ${src.startsWith('data:') ? 'generated image' : src}`));
+      img.src = src;
+    });
+  }
+
+  /**
+   * Crop an image to a circle with an optional coloured ring
+   * @param {string} src - Image URL or data URI
+   * @param {object} options
+   * @param {string|null} [options.ringColor] - CSS colour of the ring, or null for no ring
+   * @returns {Promise<Blob>} A transparent PNG
+   */
+  static async createToken(src, { ringColor = null } = {}) {
+    const img = await this.loadImage(src);
+    const size = this.TOKEN_SIZE;
+    const radius = size / 2;
+
+    const canvasEl = document.createElement('canvas');
+    canvasEl.width = size;
+    canvasEl.height = size;
+    const ctx = canvasEl.getContext('2d');
+
+    // Clip to a circle, leaving room for the ring
+    const inset = ringColor ? this.RING_WIDTH / 2 : 0;
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(radius, radius, radius - inset, 0, Math.PI * 2);
+    ctx.closePath();
+    ctx.clip();
+
+    // Cover-fit the source image, keeping the top for portraits
+    const scale = Math.max(size / img.width, size / img.height);
+    const width = img.width * scale;
+    const height = img.height * scale;
+    const offsetY = img.height > img.width ? 0 : (size - height) / 2;
+    ctx.drawImage(img, (size - width) / 2, offsetY, width, height);
+    ctx.restore();
+
+    if (ringColor) {
+      ctx.beginPath();
+      ctx.arc(radius, radius, radius - inset, 0, Math.PI * 2);
+      ctx.lineWidth = this.RING_WIDTH;
+      ctx.strokeStyle = ringColor;
+      ctx.stroke();
+    }
+
+    return new Promise((resolve, reject) => {
+      canvasEl.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to create token image')), 'image/png');
+    });
+  }
+}
+
+/**
+ * Quickbrush Job Queue
+ * Runs generations in the background with a concurrency limit.
+ * Jobs are persisted to a client setting so they survive a browser refresh.
+ */
+class QuickbrushJobQueue {
+  static MAX_FINISHED_JOBS = 25;
+  static FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'abandoned'];
+
+  static jobs = null;
+  static controllers = new Map();
+  static variants = new Map();
+  // Edit masks are large data URIs, so they stay in memory rather than in the persisted job list
+  static masks = new Map();
+
+  /**
+   * Get all jobs, loading them from settings on first access
+   */
+  static getJobs() {
+    if (!this.jobs) {
+      try {
+        const stored = game.settings.get(MODULE_ID, 'generationJobs');
+        this.jobs = stored ? JSON.parse(stored) : [];
+      } catch {
+        this.jobs = [];
+      }
+    }
+    return this.jobs;
+  }
+
+  static getJob(jobId) {
+    return this.getJobs().find(j => j.id === jobId) || null;
+  }
+
+  /**
+   * Persist jobs and refresh the sidebar panel
+   */
+  static async save() {
+    const jobs = this.getJobs();
+
+    // Keep only the most recent finished jobs
+    const finished = jobs.filter(j => this.FINISHED_STATUSES.includes(j.status));
+    if (finished.length > this.MAX_FINISHED_JOBS) {
+      const toDrop = new Set(finished.slice(0, finished.length - this.MAX_FINISHED_JOBS).map(j => j.id));
+      this.jobs = jobs.filter(j => !toDrop.has(j.id));
+      for (const id of toDrop) this.masks.delete(id);
+    }
+
+    await game.settings.set(MODULE_ID, 'generationJobs', JSON.stringify(this.jobs));
+    window.WizzlethorpeLabs?.refreshSidebar?.();
+  }
+
+  static getConcurrency() {
+    try {
+      return Math.max(1, game.settings.get(MODULE_ID, 'maxConcurrentJobs') || 1);
+    } catch {
+      return 1;
+    }
+  }
+
+  /**
+   * Add a generation job to the queue
+   * @param {object} params
+   * @param {string} params.type - Generation type (character, scene, creature, item)
+   * @param {string} params.text - Long-form description
+   * @param {string} params.prompt - Context prompt
+   * @param {string} params.imageName - Name used for the saved file
+   * @param {string} params.quality - low, medium or high
+   * @param {string} params.aspectRatio - square, landscape or portrait
+   * @param {number} [params.variants=1] - Number of candidates to generate before choosing one
+   * @param {string[]} params.referenceImages - Reference image paths
+   * @param {string|null} params.targetUuid - Document to update when finished
+   * @param {string|null} params.targetName - Display name of the target document
+   * @param {boolean} params.autoUpdate - Whether to set the image on the target document
+   * @param {object|null} [params.scene] - Create a Scene from the image: gridSize, journalUuid, pageId
+   * @param {string} [params.outputMode='image'] - 'image' for a portrait/illustration, 'token' for a token
+   * @param {object|null} [params.token] - Token options: style, source, portraitSrc, ringColor, updatePlaced
+   */
+  static async enqueue(params) {
+    const id = foundry.utils.randomID();
+    if (params.edit) {
+      const { mask, ...edit } = params.edit;
+      if (mask) this.masks.set(id, mask);
+      params = { ...params, edit: { ...edit, hasMask: !!mask } };
+    }
+
+    const job = {
+      id,
+      status: 'queued',
+      params,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      imagePath: null,
+      error: null
+    };
+
+    this.getJobs().push(job);
+    await this.save();
+    this.processQueue();
+    return job;
+  }
+
+  /**
+   * Start queued jobs until the concurrency limit is reached
+   */
+  static processQueue() {
+    const jobs = this.getJobs();
+    let running = jobs.filter(j => j.status === 'running').length;
+    const limit = this.getConcurrency();
+
+    for (const job of jobs) {
+      if (running >= limit) break;
+      if (job.status !== 'queued') continue;
+      running++;
+      this.runJob(job);
+    }
+  }
+
+  /**
+   * Run a single job through the generation pipeline
+   */
+  static async runJob(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    job.status = 'running';
+    job.startedAt = Date.now();
+    job.error = null;
+
+    const { params } = job;
+    const count = Math.clamp(params.variants || 1, 1, 4);
+    const fromPortrait = params.outputMode === 'token' && params.token?.source === 'portrait';
+
+    try {
+      await this.save();
+
+      // Without its mask an edit would repaint the whole image, so don't run it
+      const mask = this.masks.get(job.id) ?? null;
+      if (params.edit?.hasMask && !mask) {
+        throw new Error('The painted mask was lost in a page reload. Open the generator and paint it again.');
+      }
+
+      // Tokens cut from the existing portrait skip generation entirely
+      const generateParams = params.edit ? { ...params, edit: { ...params.edit, mask } } : params;
+      const results = fromPortrait
+        ? [null]
+        : await QuickbrushGenerator.generate(generateParams, { signal: controller.signal, count });
+
+      if (count === 1) {
+        const record = await this.saveResult(params, results[0]);
+        job.status = 'completed';
+        job.imagePath = record.imagePath;
+        await this.applyResult(job, record);
+      } else {
+        // Hold the candidates in memory until the user picks one
+        this.variants.set(job.id, results);
+        job.status = 'awaiting';
+        ui.notifications.info(`${results.length} variants of "${params.imageName}" are ready. Pick the one to keep.`, { permanent: false });
+        new QuickbrushVariantPicker(job.id).render(true);
+      }
+
+    } catch (error) {
+      if (controller.signal.aborted) {
+        job.status = 'cancelled';
+        console.log(`Quickbrush | Job ${job.id} cancelled`);
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+        console.error('Quickbrush generation error:', error);
+        ui.notifications.error(
+          game.i18n.format('QUICKBRUSH.Notifications.Error', { error: error.message }),
+          { permanent: true }
+        );
+      }
+    } finally {
+      this.controllers.delete(job.id);
+      if (job.status !== 'awaiting') {
+        job.finishedAt = Date.now();
+        QuickbrushRequests.notifyJobFinished(job);
+      }
+      await this.save().catch(error => console.error('Quickbrush | Failed to save the job list:', error));
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Upload a generated image and record it in the gallery
+   * @returns {Promise<string>} The uploaded file path
+   */
+  static async saveResult(params, result) {
+    let imageBlob;
+    let imageName = params.imageName;
+
+    if (params.outputMode === 'token') {
+      // result is null when the token is cut from the existing portrait
+      const src = result ? `data:image/png;base64,${result.image}` : params.token.portraitSrc;
+      imageBlob = await QuickbrushTokenizer.createToken(src, { ringColor: params.token.ringColor });
+      imageName = `${imageName} Token`;
+    } else {
+      imageBlob = QuickbrushGenerator.base64ToBlob(result.image);
+    }
+
+    const imagePath = await QuickbrushGenerator.saveImage(imageBlob, imageName);
+
+    // Update gallery
+    return QuickbrushGallery.addToGallery({
+      imageUrl: imagePath,
+      type: params.type,
+      description: params.text,
+      prompt: params.prompt,
+      quality: params.quality,
+      aspectRatio: params.aspectRatio,
+      refinedDescription: result?.description,
+      imageName,
+      referenceImages: params.referenceImages,
+      editSource: params.edit?.source || null,
+      model: result ? result.model || params.model || game.settings.get(MODULE_ID, 'imageModel') : null,
+      outputMode: params.outputMode || 'image',
+      tokenStyle: params.token?.style || null,
+      targetUuid: params.targetUuid,
+      targetName: params.targetName
+    });
+  }
+
+  /**
+   * Apply a saved image to the job's target document and let the user know
+   * @param {object} job
+   * @param {object} record - Gallery record of the saved image
+   */
+  static async applyResult(job, record) {
+    const { params } = job;
+    const imagePath = record.imagePath;
+
+    // Remember how the image was made so it can be regenerated from the document
+    const target = params.targetUuid ? await fromUuid(params.targetUuid) : null;
+    if (target?.isOwner) {
+      await setGenerationFlag(target, record);
+    }
+
+    // Auto-update target document image if requested
+    if (target && params.autoUpdate) {
+      const isToken = params.outputMode === 'token';
+      const applied = await QuickbrushGenerator.applyToDocument(target, imagePath, {
+        outputMode: params.outputMode,
+        updatePlaced: isToken && params.token?.updatePlaced
+      });
+
+      if (applied) {
+        ui.notifications.info(
+          isToken
+            ? `Token generated and set for "${target.name}"!`
+            : `Image generated and set as ${target.documentName} image for "${target.name}"!`,
+          { permanent: true }
+        );
+      } else {
+        ui.notifications.warn(`Image generated but failed to update ${target.documentName} image.`, { permanent: true });
+      }
+    } else if (!params.scene) {
+      // Success! Show permanent notification
+      ui.notifications.info(
+        `"${params.imageName}" generated and saved successfully! View it in the Quickbrush Gallery.`,
+        { permanent: true }
+      );
+    }
+
+    if (params.scene) {
+      try {
+        const scene = await QuickbrushGenerator.createScene(imagePath, params.imageName, params.scene);
+        ui.notifications.info(`Scene "${scene.name}" created from your Quickbrush image!`, { permanent: true });
+      } catch (err) {
+        console.error('Wizzlethorpe | Failed to create scene:', err);
+        ui.notifications.warn(`Image generated but failed to create a scene: ${err.message}`, { permanent: true });
+      }
+    }
+  }
+
+  /**
+   * Keep one of a job's variants, optionally saving the others to the gallery
+   */
+  static async chooseVariant(jobId, index, { keepOthers = false } = {}) {
+    const job = this.getJob(jobId);
+    const results = this.variants.get(jobId);
+    if (!job || !results?.[index]) return;
+
+    this.variants.delete(jobId);
+
+    try {
+      const record = await this.saveResult(job.params, results[index]);
+
+      if (keepOthers) {
+        for (const [i, result] of results.entries()) {
+          if (i !== index) await this.saveResult(job.params, result);
+        }
+      }
+
+      job.status = 'completed';
+      job.imagePath = record.imagePath;
+      await this.applyResult(job, record);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      console.error('Quickbrush | Failed to save variant:', error);
+      ui.notifications.error(
+        game.i18n.format('QUICKBRUSH.Notifications.Error', { error: error.message }),
+        { permanent: true }
+      );
+    }
+
+    job.finishedAt = Date.now();
+    QuickbrushRequests.notifyJobFinished(job);
+    await this.save();
+  }
+
+  /**
+   * Throw away all variants of a job without saving any of them
+   */
+  static async discardVariants(jobId) {
+    const job = this.getJob(jobId);
+    if (!job || job.status !== 'awaiting') return;
+
+    this.variants.delete(jobId);
+    job.status = 'cancelled';
+    job.error = 'Variants discarded';
+    job.finishedAt = Date.now();
+    QuickbrushRequests.notifyJobFinished(job);
+    await this.save();
+  }
+
+  /**
+   * Cancel a queued or running job
+   */
+  static async cancel(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) return;
+
+    if (job.status === 'running') {
+      // The running job marks itself cancelled once the request aborts
+      this.controllers.get(jobId)?.abort();
+      return;
+    }
+
+    if (job.status === 'awaiting') {
+      await this.discardVariants(jobId);
+      return;
+    }
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.finishedAt = Date.now();
+      QuickbrushRequests.notifyJobFinished(job);
+      await this.save();
+    }
+  }
+
+  /**
+   * Re-queue a failed, cancelled or abandoned job
+   */
+  static async retry(jobId) {
+    const job = this.getJob(jobId);
+    if (!job || !['failed', 'cancelled', 'abandoned'].includes(job.status)) return;
+
+    job.status = 'queued';
+    job.error = null;
+    job.startedAt = null;
+    job.finishedAt = null;
+    job.createdAt = Date.now();
+
+    // Move to the back of the queue
+    this.jobs = this.getJobs().filter(j => j.id !== jobId);
+    this.jobs.push(job);
+
+    await this.save();
+    this.processQueue();
+  }
+
+  /**
+   * Remove a finished job from the list
+   */
+  static async remove(jobId) {
+    const job = this.getJob(jobId);
+    if (!job || !this.FINISHED_STATUSES.includes(job.status)) return;
+    this.jobs = this.getJobs().filter(j => j.id !== jobId);
+    this.masks.delete(jobId);
+    await this.save();
+  }
+
+  /**
+   * Remove all finished jobs
+   */
+  static async clearFinished() {
+    for (const job of this.getJobs()) {
+      if (this.FINISHED_STATUSES.includes(job.status)) this.masks.delete(job.id);
+    }
+    this.jobs = this.getJobs().filter(j => !this.FINISHED_STATUSES.includes(j.status));
+    await this.save();
+  }
+
+  /**
+   * Restore jobs after a reload
+   * Queued jobs are resumed; jobs that were mid-request or waiting on a variant choice
+   * can't be recovered and are marked abandoned
+   */
+  static async resume() {
+    const jobs = this.getJobs();
+    let abandoned = 0;
+
+    for (const job of jobs) {
+      if (job.status === 'running' || job.status === 'awaiting') {
+        job.error = job.status === 'awaiting' ? 'Unchosen variants were lost in a page reload' : 'Interrupted by a page reload';
+        job.status = 'abandoned';
+        job.finishedAt = Date.now();
+        abandoned++;
+      }
+    }
+
+    if (abandoned > 0) {
+      ui.notifications.warn(`${abandoned} Quickbrush job(s) were interrupted by a reload. Retry them from the Wizzlethorpe Labs sidebar.`);
+    }
+
+    await this.save();
+
+    const queued = jobs.filter(j => j.status === 'queued').length;
+    if (queued > 0) {
+      console.log(`Quickbrush | Resuming ${queued} queued job(s)`);
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Build display data for the sidebar Jobs panel (newest first)
+   */
+  static getDisplayData() {
+    const statusIcons = {
+      queued: 'fa-clock',
+      running: 'fa-spinner fa-spin',
+      awaiting: 'fa-images',
+      completed: 'fa-check',
+      failed: 'fa-exclamation-triangle',
+      cancelled: 'fa-ban',
+      abandoned: 'fa-unlink'
+    };
+
+    return [...this.getJobs()].reverse().map(job => ({
+      id: job.id,
+      status: job.status,
+      statusIcon: statusIcons[job.status] || 'fa-question',
+      name: job.params.imageName,
+      type: job.params.type,
+      targetName: job.params.targetName,
+      imagePath: job.imagePath,
+      error: job.error,
+      time: new Date(job.startedAt || job.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+      canChoose: job.status === 'awaiting',
+      canCancel: ['queued', 'running', 'awaiting'].includes(job.status),
+      canRetry: ['failed', 'cancelled', 'abandoned'].includes(job.status),
+      canRemove: this.FINISHED_STATUSES.includes(job.status)
+    }));
   }
 }
 
 /**
- * Image Generation Dialog
+ * Variant Picker
+ * Shows the candidates of a multi-variant job side by side so the user can choose one
  */
-class QuickbrushDialog extends FormApplication {
-  constructor(options = {}) {
-    super({}, options);
-    this.data = options.data || {};
-    this.referenceImages = options.data?.referenceImages || [];
-    this.targetDocument = options.targetDocument || null; // Actor or Item to update
+class QuickbrushVariantPicker extends Application {
+  constructor(jobId, options = {}) {
+    super(options);
+    this.jobId = jobId;
   }
 
   static get defaultOptions() {
     return foundry.utils.mergeObject(super.defaultOptions, {
-      id: 'quickbrush-dialog',
-      title: game.i18n.localize('QUICKBRUSH.Dialog.Title'),
-      template: 'modules/wizzlethorpe-labs/templates/generate-dialog.hbs',
-      width: 600,
-      height: 700,
-      classes: ['quickbrush-dialog'],
-      closeOnSubmit: false,
-      submitOnChange: false,
-      submitOnClose: false,
+      id: 'quickbrush-variant-picker',
+      title: game.i18n.localize('QUICKBRUSH.Variants.Title'),
+      template: 'modules/wizzlethorpe-labs/templates/variant-picker.hbs',
+      width: 720,
+      height: 'auto',
+      classes: ['quickbrush-dialog', 'quickbrush-variant-picker'],
       resizable: true
     });
   }
 
-  getData() {
-    // Manually create the options arrays since i18n.localize returns the full nested object
-    const types = [
-      { key: 'character', label: game.i18n.localize('QUICKBRUSH.Dialog.Types.character') },
-      { key: 'scene', label: game.i18n.localize('QUICKBRUSH.Dialog.Types.scene') },
-      { key: 'creature', label: game.i18n.localize('QUICKBRUSH.Dialog.Types.creature') },
-      { key: 'item', label: game.i18n.localize('QUICKBRUSH.Dialog.Types.item') }
-    ];
-
-    const qualities = [
-      { key: 'low', label: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.low') },
-      { key: 'medium', label: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.medium') },
-      { key: 'high', label: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.high') }
-    ];
+  get id() {
+    return `quickbrush-variant-picker-${this.jobId}`;
+  }
 
-    const aspectRatios = [
-      { key: 'square', label: game.i18n.localize('QUICKBRUSH.Dialog.AspectRatios.square') },
-      { key: 'landscape', label: game.i18n.localize('QUICKBRUSH.Dialog.AspectRatios.landscape') },
-      { key: 'portrait', label: game.i18n.localize('QUICKBRUSH.Dialog.AspectRatios.portrait') }
-    ];
+  getData() {
+    const job = QuickbrushJobQueue.getJob(this.jobId);
+    const results = QuickbrushJobQueue.variants.get(this.jobId) || [];
 
     return {
-      text: this.data.text || '',
-      image_name: this.data.image_name || this.targetDocument?.name || '',
-      prompt: this.data.prompt || '',
-      generation_type: this.data.generation_type || 'character',
-      quality: this.data.quality || 'high',
-      aspect_ratio: this.data.aspect_ratio || 'square',
-      referenceImages: this.referenceImages,
-      targetDocument: this.targetDocument,
-      targetName: this.targetDocument?.name || null,
-      types,
-      qualities,
-      aspectRatios
+      imageName: job?.params.imageName || '',
+      targetName: job?.params.autoUpdate ? job.params.targetName : null,
+      candidates: results.map((result, index) => ({
+        index,
+        number: index + 1,
+        src: `data:image/png;base64,${result.image}`
+      }))
     };
   }
 
   activateListeners(html) {
     super.activateListeners(html);
 
-    // Auto-select aspect ratio based on generation type
-    html.find('select[name="generation_type"]').on('change', (event) => {
-      const type = event.target.value;
-      const aspectRatioSelect = html.find('select[name="aspect_ratio"]');
+    // Zoom in on a candidate
+    html.find('.variant-zoom').on('click', (event) => {
+      event.preventDefault();
+      const src = $(event.currentTarget).closest('.variant-card').find('img').attr('src');
+      html.find('.variant-zoom-overlay img').attr('src', src);
+      html.find('.variant-zoom-overlay').addClass('active');
+    });
 
-      if (type === 'scene') {
-        aspectRatioSelect.val('landscape');
-      } else {
-        aspectRatioSelect.val('square');
-      }
+    html.find('.variant-zoom-overlay').on('click', (event) => {
+      $(event.currentTarget).removeClass('active');
     });
 
-    // Reference image picker buttons
-    html.find('.add-reference-image').on('click', (event) => {
+    html.find('.variant-choose').on('click', async (event) => {
       event.preventDefault();
-      this._pickReferenceImage();
+      const index = Number($(event.currentTarget).data('index'));
+      const keepOthers = html.find('input[name="keep_others"]').is(':checked');
+      this.close();
+      await QuickbrushJobQueue.chooseVariant(this.jobId, index, { keepOthers });
     });
 
-    // Remove reference image buttons
-    html.find('.remove-reference-image').on('click', (event) => {
+    html.find('.variant-discard').on('click', async (event) => {
       event.preventDefault();
-      const index = $(event.currentTarget).data('index');
-      this.referenceImages.splice(index, 1);
-      this.render();
+      this.close();
+      await QuickbrushJobQueue.discardVariants(this.jobId);
     });
   }
+}
 
-  async _pickReferenceImage() {
-    const fp = new FilePicker({
-      type: 'image',
-      callback: (path) => {
-        if (this.referenceImages.length < 4) {
-          this.referenceImages.push(path);
-          this.render();
-        } else {
-          ui.notifications.warn('Maximum 4 reference images allowed', { permanent: false });
-        }
+/**
+ * Player Image Requests
+ * Players ask for images of actors they own; an active GM approves them and runs the job
+ * with their own provider and quota, then the result is applied to the actor.
+ */
+class QuickbrushRequests {
+  static SOCKET = `module.${MODULE_ID}`;
+
+  /**
+   * Listen for requests and results on the module socket
+   */
+  static initialize() {
+    game.socket.on(this.SOCKET, (message, senderId) => this.handleMessage(message, senderId));
+  }
+
+  /**
+   * @param {object} message
+   * @param {string} senderId - The user who sent the message, as reported by the server
+   */
+  static handleMessage(message, senderId) {
+    switch (message.action) {
+      case 'request':
+        // Only one GM takes incoming requests so they aren't stored twice
+        if (game.users.activeGM?.isSelf) this.receive(message.request, senderId);
+        break;
+
+      case 'result':
+        // Only GMs answer requests
+        if (message.userId === game.user.id && game.users.get(senderId)?.isGM) this.showResult(message);
+        break;
+    }
+  }
+
+  /**
+   * Get the pending requests received in this browser (GM only)
+   */
+  static getPending() {
+    try {
+      const stored = game.settings.get(MODULE_ID, 'playerRequests');
+      return stored ? JSON.parse(stored) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  static async savePending(requests) {
+    await game.settings.set(MODULE_ID, 'playerRequests', JSON.stringify(requests));
+    window.WizzlethorpeLabs?.refreshSidebar?.();
+    Object.values(ui.windows).find(app => app instanceof QuickbrushRequestQueue)?.render();
+  }
+
+  /**
+   * Send a request from a player to the GM
+   * @param {object} params - Job parameters (see QuickbrushJobQueue.enqueue)
+   * @returns {boolean} Whether the request could be sent
+   */
+  static submit(params) {
+    if (!game.users.activeGM) {
+      ui.notifications.warn('No GM is connected to approve your image request. Try again when your GM is online.');
+      return false;
+    }
+
+    game.socket.emit(this.SOCKET, {
+      action: 'request',
+      request: {
+        id: foundry.utils.randomID(),
+        userId: game.user.id,
+        userName: game.user.name,
+        params,
+        createdAt: Date.now()
       }
     });
-    fp.browse();
+    return true;
   }
 
   /**
-   * Convert image paths to base64 data URIs
-   * This ensures images can be sent to OpenAI API
+   * Store an incoming request and let the GM know
+   * The job runs with the GM's credentials, so only the fields the player may choose are taken from
+   * the request; everything else is rebuilt here from the target actor and the GM's settings
    */
-  async convertImagesToBase64(imagePaths) {
-    const base64Images = [];
+  static async receive(request, senderId) {
+    const user = game.users.get(senderId);
+    const actor = request?.params?.targetUuid ? await fromUuid(String(request.params.targetUuid)) : null;
+    const reply = { id: String(request?.id ?? ''), userId: senderId };
+
+    // Players may only request images for actors they own
+    if (!user || !actor || actor.documentName !== 'Actor' || !actor.testUserPermission(user, 'OWNER')) {
+      console.warn('Quickbrush | Ignoring image request for a document the player does not own', request);
+      this.sendResult(reply, 'rejected', 'You can only request images for actors you own.');
+      return;
+    }
 
-    for (const imagePath of imagePaths) {
-      try {
-        // Fetch the image
-        const response = await fetch(imagePath);
-        if (!response.ok) {
-          console.warn(`Failed to fetch reference image: ${imagePath}`);
-          continue;
-        }
+    const params = this.buildParams(request.params, actor);
+    const pending = this.getPending();
+    pending.push({ id: reply.id || foundry.utils.randomID(), userId: user.id, userName: user.name, params, createdAt: Date.now() });
+    await this.savePending(pending);
 
-        // Get the blob
-        const blob = await response.blob();
+    ui.notifications.info(`${user.name} requested a Quickbrush image for "${actor.name}". Review it in the Wizzlethorpe Labs sidebar.`, { permanent: false });
+  }
 
-        // Convert to base64
-        const base64 = await new Promise((resolve, reject) => {
-          const reader = new FileReader();
-          reader.onloadend = () => resolve(reader.result);
-          reader.onerror = reject;
-          reader.readAsDataURL(blob);
-        });
+  /**
+   * Rebuild a player's job parameters from an allowlist
+   * Players choose the description, prompt, aspect ratio and output mode; the quality and model
+   * come from the GM's settings and the target from the actor itself
+   */
+  static buildParams(raw, actor) {
+    const pick = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+    const outputMode = pick(raw.outputMode, ['image', 'token'], 'image');
+    const isToken = outputMode === 'token';
+    const tokenSource = isToken ? pick(raw.token?.source, ['generate', 'portrait'], 'generate') : null;
+
+    return {
+      type: pick(raw.type, ['character', 'creature'], 'character'),
+      text: String(raw.text ?? '').slice(0, 10000),
+      prompt: String(raw.prompt ?? '').slice(0, 2000),
+      imageName: String(raw.imageName ?? '').trim().slice(0, 100) || actor.name,
+      quality: game.settings.get(MODULE_ID, 'requestQuality'),
+      aspectRatio: isToken ? 'square' : pick(raw.aspectRatio, ['square', 'landscape', 'portrait'], 'square'),
+      variants: 1,
+      referenceImages: [],
+      model: null,
+      targetUuid: actor.uuid,
+      targetName: actor.name,
+      autoUpdate: true,
+      scene: null,
+      edit: null,
+      outputMode,
+      token: isToken ? {
+        style: pick(raw.token?.style, ['bust', 'topdown'], 'bust'),
+        source: tokenSource,
+        portraitSrc: tokenSource === 'portrait' ? actor.img : null,
+        ringColor: raw.token?.ringColor ? QuickbrushTokenizer.getDispositionColor(actor) : null,
+        updatePlaced: false
+      } : null
+    };
+  }
 
-        base64Images.push(base64);
+  /**
+   * Approve a request, optionally with an edited description and prompt
+   */
+  static async approve(requestId, { text, prompt } = {}) {
+    const pending = this.getPending();
+    const request = pending.find(r => r.id === requestId);
+    if (!request) return;
+
+    const fromPortrait = request.params.outputMode === 'token' && request.params.token?.source === 'portrait';
+    if (!fromPortrait) {
+      let provider;
+      try {
+        provider = QuickbrushGenerator.resolveProvider();
       } catch (error) {
-        console.warn(`Error converting image to base64: ${imagePath}`, error);
+        ui.notifications.error(error.message);
+        return;
       }
+
+      if (!await QuickbrushUsage.confirmQuota(provider, 1)) return;
     }
 
-    return base64Images;
+    await this.savePending(pending.filter(r => r.id !== requestId));
+
+    await QuickbrushJobQueue.enqueue({
+      ...request.params,
+      text: text ?? request.params.text,
+      prompt: prompt ?? request.params.prompt,
+      requestedBy: { userId: request.userId, requestId: request.id }
+    });
+
+    this.sendResult(request, 'approved', `Your GM approved your image request for "${request.params.targetName}". It is being generated now.`);
+  }
+
+  /**
+   * Turn a request down
+   */
+  static async reject(requestId, reason = '') {
+    const pending = this.getPending();
+    const request = pending.find(r => r.id === requestId);
+    if (!request) return;
+
+    await this.savePending(pending.filter(r => r.id !== requestId));
+
+    const message = `Your GM declined your image request for "${request.params.targetName}".`;
+    this.sendResult(request, 'rejected', reason ? `${message} ${reason}` : message);
+  }
+
+  /**
+   * Tell the requesting player how their job ended
+   */
+  static notifyJobFinished(job) {
+    const requestedBy = job.params.requestedBy;
+    if (!requestedBy) return;
+
+    const name = job.params.targetName;
+    const outcomes = {
+      completed: ['completed', `Your new image for "${name}" is ready!`],
+      failed: ['failed', `Your image for "${name}" could not be generated: ${job.error}`],
+      cancelled: ['failed', `Your GM cancelled the image for "${name}".`]
+    };
+    const outcome = outcomes[job.status];
+    if (!outcome) return;
+
+    this.sendResult({ id: requestedBy.requestId, userId: requestedBy.userId }, ...outcome);
+  }
+
+  static sendResult(request, status, message) {
+    game.socket.emit(this.SOCKET, {
+      action: 'result',
+      userId: request.userId,
+      requestId: request.id,
+      status,
+      message
+    });
+  }
+
+  /**
+   * Show a GM's answer to the player who asked
+   */
+  static showResult({ status, message }) {
+    if (status === 'rejected' || status === 'failed') {
+      ui.notifications.warn(message, { permanent: true });
+    } else {
+      ui.notifications.info(message, { permanent: status === 'completed' });
+    }
+  }
+}
+
+/**
+ * Player Request Queue
+ * Lets the GM review, edit, approve or reject player image requests
+ */
+class QuickbrushRequestQueue extends Application {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'quickbrush-request-queue',
+      title: game.i18n.localize('QUICKBRUSH.Requests.Title'),
+      template: 'modules/wizzlethorpe-labs/templates/request-queue.hbs',
+      width: 560,
+      height: 'auto',
+      classes: ['quickbrush-dialog', 'quickbrush-request-queue'],
+      resizable: true
+    });
+  }
+
+  getData() {
+    const types = {
+      character: game.i18n.localize('QUICKBRUSH.Dialog.Types.character'),
+      creature: game.i18n.localize('QUICKBRUSH.Dialog.Types.creature'),
+      scene: game.i18n.localize('QUICKBRUSH.Dialog.Types.scene'),
+      item: game.i18n.localize('QUICKBRUSH.Dialog.Types.item')
+    };
+
+    const label = (group, key) => (key ? game.i18n.localize(`QUICKBRUSH.Dialog.${group}.${key}`) : null);
+    const model = game.settings.get(MODULE_ID, 'imageModel');
+
+    return {
+      requests: QuickbrushRequests.getPending().map(request => {
+        const { params } = request;
+        return {
+          ...request,
+          typeLabel: types[params.type] || params.type,
+          isToken: params.outputMode === 'token',
+          time: new Date(request.createdAt).toLocaleString(),
+          // Everything the job will use, so the GM approves exactly what runs
+          details: [
+            { label: game.i18n.localize('QUICKBRUSH.Dialog.ImageName'), value: params.imageName },
+            { label: game.i18n.localize('QUICKBRUSH.Dialog.OutputMode'), value: label('OutputModes', params.outputMode) },
+            ...(params.token ? [
+              { label: game.i18n.localize('QUICKBRUSH.Dialog.TokenSource'), value: label('TokenSources', params.token.source) },
+              { label: game.i18n.localize('QUICKBRUSH.Dialog.TokenStyle'), value: label('TokenStyles', params.token.style) },
+              { label: game.i18n.localize('QUICKBRUSH.Requests.Ring'), value: game.i18n.localize(params.token.ringColor ? 'Yes' : 'No') }
+            ] : []),
+            { label: game.i18n.localize('QUICKBRUSH.Dialog.AspectRatio'), value: label('AspectRatios', params.aspectRatio) },
+            { label: game.i18n.localize('QUICKBRUSH.Dialog.Quality'), value: label('Qualities', params.quality) },
+            { label: game.i18n.localize('QUICKBRUSH.Requests.Model'), value: model }
+          ]
+        };
+      })
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('.request-approve').on('click', async (event) => {
+      event.preventDefault();
+      const $card = $(event.currentTarget).closest('.request-card');
+      await QuickbrushRequests.approve($card.data('requestId'), {
+        text: $card.find('textarea[name="text"]').val(),
+        prompt: $card.find('textarea[name="prompt"]').val()
+      });
+    });
+
+    html.find('.request-reject').on('click', async (event) => {
+      event.preventDefault();
+      const $card = $(event.currentTarget).closest('.request-card');
+      await QuickbrushRequests.reject($card.data('requestId'), $card.find('input[name="reason"]').val().trim());
+    });
+  }
+}
+
+/**
+ * Mask Editor
+ * Paint the area of an image that an edit is allowed to change
+ */
+class QuickbrushMaskEditor extends Application {
+  /**
+   * @param {string} src - Image being edited
+   * @param {object} options
+   * @param {string|null} [options.mask] - Previously painted mask to continue from
+   * @param {Function} options.callback - Called with the mask PNG data URI, or null if nothing is painted
+   */
+  constructor(src, options = {}) {
+    super(options);
+    this.src = src;
+    this.mask = options.mask || null;
+    this.callback = options.callback;
+    this.brushSize = 48;
+    this.erasing = false;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'quickbrush-mask-editor',
+      title: game.i18n.localize('QUICKBRUSH.MaskEditor.Title'),
+      template: 'modules/wizzlethorpe-labs/templates/mask-editor.hbs',
+      width: 640,
+      height: 'auto',
+      classes: ['quickbrush-dialog', 'quickbrush-mask-editor'],
+      resizable: true
+    });
+  }
+
+  getData() {
+    return {
+      src: this.src,
+      brushSize: this.brushSize
+    };
+  }
+
+  async activateListeners(html) {
+    super.activateListeners(html);
+
+    // The paint layer uses the image's own resolution so the mask lines up with it
+    const img = await QuickbrushTokenizer.loadImage(this.src);
+    const canvas = html.find('canvas.mask-paint')[0];
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d');
+
+    // Rebuild the painted area from a previous mask (transparent = painted)
+    if (this.mask) {
+      const mask = await QuickbrushTokenizer.loadImage(this.mask);
+      ctx.fillStyle = '#ff0000';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.drawImage(mask, 0, 0, canvas.width, canvas.height);
+      ctx.globalCompositeOperation = 'source-over';
+    }
+
+    let painting = false;
+    let last = null;
+
+    const toCanvas = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: (event.clientX - rect.left) * (canvas.width / rect.width),
+        y: (event.clientY - rect.top) * (canvas.height / rect.height),
+        scale: canvas.width / rect.width
+      };
+    };
+
+    const stroke = (point) => {
+      ctx.globalCompositeOperation = this.erasing ? 'destination-out' : 'source-over';
+      ctx.strokeStyle = '#ff0000';
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.lineWidth = this.brushSize * point.scale;
+      ctx.beginPath();
+      ctx.moveTo((last ?? point).x, (last ?? point).y);
+      ctx.lineTo(point.x, point.y);
+      ctx.stroke();
+      last = point;
+    };
+
+    canvas.addEventListener('pointerdown', (event) => {
+      painting = true;
+      last = null;
+      canvas.setPointerCapture(event.pointerId);
+      stroke(toCanvas(event));
+    });
+    canvas.addEventListener('pointermove', (event) => {
+      if (painting) stroke(toCanvas(event));
+    });
+    const stop = () => {
+      painting = false;
+      last = null;
+    };
+    canvas.addEventListener('pointerup', stop);
+    canvas.addEventListener('pointercancel', stop);
+
+    html.find('input[name="brush_size"]').on('input', (event) => {
+      this.brushSize = Number(event.target.value);
+    });
+
+    html.find('.mask-tool').on('click', (event) => {
+      event.preventDefault();
+      this.erasing = event.currentTarget.dataset.tool === 'erase';
+      html.find('.mask-tool').removeClass('active');
+      $(event.currentTarget).addClass('active');
+    });
+
+    html.find('.mask-clear').on('click', (event) => {
+      event.preventDefault();
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    });
+
+    html.find('.mask-apply').on('click', (event) => {
+      event.preventDefault();
+      this.callback?.(this.exportMask(canvas));
+      this.close();
+    });
+  }
+
+  /**
+   * Turn the paint layer into an edit mask
+   * The mask is opaque where the image must stay and transparent where it may change
+   * @returns {string|null} PNG data URI, or null if nothing is painted
+   */
+  exportMask(paintCanvas) {
+    const pixels = paintCanvas.getContext('2d').getImageData(0, 0, paintCanvas.width, paintCanvas.height).data;
+    let painted = false;
+    for (let i = 3; i < pixels.length; i += 4) {
+      if (pixels[i] > 0) {
+        painted = true;
+        break;
+      }
+    }
+    if (!painted) return null;
+
+    const mask = document.createElement('canvas');
+    mask.width = paintCanvas.width;
+    mask.height = paintCanvas.height;
+    const ctx = mask.getContext('2d');
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, mask.width, mask.height);
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.drawImage(paintCanvas, 0, 0);
+    return mask.toDataURL('image/png');
+  }
+}
+
+/**
+ * Batch Generation Dialog
+ * Reviews a set of actors and queues a portrait for each one
+ */
+class QuickbrushBatchDialog extends FormApplication {
+  constructor(options = {}) {
+    super({}, options);
+    this.entries = options.entries || [];
+    this.sourceName = options.sourceName || '';
   }
 
-  async _updateObject(event, formData) {
-    event.preventDefault();
-
-    // Validate
-    if (!formData.text || !formData.text.trim()) {
-      ui.notifications.warn('Please provide a description for your image.');
-      return;
-    }
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'quickbrush-batch-dialog',
+      title: game.i18n.localize('QUICKBRUSH.Batch.Title'),
+      template: 'modules/wizzlethorpe-labs/templates/batch-dialog.hbs',
+      width: 640,
+      height: 720,
+      classes: ['quickbrush-dialog', 'quickbrush-batch-dialog'],
+      closeOnSubmit: false,
+      submitOnChange: false,
+      submitOnClose: false,
+      resizable: true
+    });
+  }
 
-    if (!formData.image_name || !formData.image_name.trim()) {
-      ui.notifications.warn('Please provide a name for your image.');
-      return;
+  /**
+   * Build review entries for a set of actors
+   * Actors that already have a custom image are listed but left unticked
+   */
+  static async buildEntries(actors) {
+    const entries = [];
+
+    for (const actor of actors) {
+      const actorType = actor.type === 'character' ? 'character' : 'npc';
+      entries.push({
+        id: actor.id,
+        uuid: actor.uuid,
+        name: actor.name,
+        img: actor.img,
+        hasImage: hasCustomImage(actor),
+        type: getActorGenerationType(actor, actorType),
+        text: await extractActorText(actor, actorType)
+      });
     }
 
-    // Determine which generation method to use
-    const isLinked = WizzlethorpeAPI.isLinked();
-    const openaiApiKey = game.settings.get(MODULE_ID, 'openaiApiKey');
-    const useServerMode = game.settings.get(MODULE_ID, 'useServerMode');
-    const canUseServer = WizzlethorpeAPI.canUseServerGeneration();
+    return entries;
+  }
 
-    // All generation goes through the Wizzlethorpe API
-    // 1. If linked with Alchemist+ and server mode enabled -> use server generation
-    // 2. If linked and has API key -> use BYOK through API (for tier validation)
-    // 3. Otherwise -> error (must link account)
+  /**
+   * Open the batch dialog for every actor in a folder (including subfolders)
+   */
+  static async openForFolder(folder) {
+    const folders = [folder, ...folder.getSubfolders(true)];
+    const actors = folders.flatMap(f => f.contents);
 
-    if (!isLinked) {
-      ui.notifications.error('Please link your Wizzlethorpe Labs account to use image generation. Go to Settings → Module Settings → Wizzlethorpe Labs → Manage Account.');
+    if (actors.length === 0) {
+      ui.notifications.warn(`There are no actors in "${folder.name}".`);
       return;
     }
 
-    const shouldUseServerGeneration = canUseServer && useServerMode;
-    const shouldUseBYOK = !shouldUseServerGeneration && openaiApiKey;
-
-    if (!shouldUseServerGeneration && !shouldUseBYOK) {
-      ui.notifications.error('Server-side generation requires an Alchemist subscription ($5/mo). Alternatively, add your own OpenAI API key in module settings for BYOK mode.');
-      return;
-    }
+    const entries = await this.buildEntries(actors);
+    return new this({ entries, sourceName: folder.name }).render(true);
+  }
 
-    try {
-      // Close the dialog immediately so user can continue working
-      this.close();
+  getData() {
+    const selectedCount = this.entries.filter(e => !e.hasImage).length;
 
-      // Show single notification that generation has started
-      ui.notifications.info('Generating image... This may take 30-60 seconds. You\'ll be notified when it\'s ready!', { permanent: false });
+    return {
+      sourceName: this.sourceName,
+      entries: this.entries,
+      quality: 'high',
+      qualities: [
+        { key: 'low', label: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.low') },
+        { key: 'medium', label: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.medium') },
+        { key: 'high', label: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.high') }
+      ],
+      types: [
+        { key: 'character', label: game.i18n.localize('QUICKBRUSH.Dialog.Types.character') },
+        { key: 'creature', label: game.i18n.localize('QUICKBRUSH.Dialog.Types.creature') }
+      ],
+      estimate: this.getEstimate(selectedCount, 'high')
+    };
+  }
 
-      let base64Image, refinedDescription;
+  /**
+   * Describe what generating a number of images will cost
+   */
+  getEstimate(count, quality) {
+    const provider = QuickbrushProviders.getActive();
 
-      // Convert reference images to base64 data URIs
-      const referenceImagePaths = this.referenceImages || [];
-      const base64ReferenceImages = referenceImagePaths.length > 0
-        ? await this.convertImagesToBase64(referenceImagePaths)
-        : [];
+    if (provider.isLocal) {
+      return `${count} image(s) using ${game.i18n.localize(provider.label)}. Runs on your own server at no cost.`;
+    }
 
-      const imageModel = game.settings.get(MODULE_ID, 'imageModel') || 'gpt-image-1-mini';
+    if (provider.id === 'wizzlethorpe') {
+      const { remaining, limit } = QuickbrushUsage.getQuota();
+      const warning = count > remaining ? ' This is more than you have left this week, so some jobs will fail.' : '';
+      return `${count} image(s) using server generation. You have ${remaining} of your ${limit} weekly server images left.${warning}`;
+    }
 
-      // Build generation params
-      const generateParams = {
-        type: formData.generation_type,
-        text: formData.text,
-        prompt: formData.prompt || '',
-        referenceImages: base64ReferenceImages,
-        model: imageModel,
-        quality: formData.quality,
-        aspectRatio: formData.aspect_ratio
-      };
+    const cost = QuickbrushGenerator.estimateCost(count, quality);
+    return `${count} image(s) using your own OpenAI key. Estimated cost: ~$${cost.toFixed(2)}.`;
+  }
 
-      if (shouldUseServerGeneration) {
-        // Use Wizzlethorpe API (server-side generation)
-        console.log('Wizzlethorpe | Using Wizzlethorpe API (server mode)');
-      } else {
-        // Use Wizzlethorpe API with user's API key (BYOK mode)
-        console.log('Wizzlethorpe | Using Wizzlethorpe API (BYOK mode)');
-        generateParams.apiKey = openaiApiKey;
-      }
+  activateListeners(html) {
+    super.activateListeners(html);
 
-      const result = await WizzlethorpeAPI.generate(generateParams);
+    const updateEstimate = () => {
+      const count = html.find('input.batch-select:checked').length;
+      const quality = html.find('select[name="quality"]').val();
+      html.find('.batch-estimate').text(this.getEstimate(count, quality));
+    };
 
-      base64Image = result.image;
-      refinedDescription = result.description;
+    html.find('input.batch-select, select[name="quality"]').on('change', updateEstimate);
 
-      // Show usage info if available
-      if (result.usage) {
-        console.log(`Quickbrush | Usage: ${result.usage.used}/${result.usage.limit} this week`);
-      }
+    html.find('.batch-select-all').on('click', (event) => {
+      event.preventDefault();
+      html.find('input.batch-select').prop('checked', true);
+      updateEstimate();
+    });
 
-      // Convert base64 to blob for saving
-      const binaryString = atob(base64Image);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-      const imageBlob = new Blob([bytes], { type: 'image/png' });
+    html.find('.batch-select-none').on('click', (event) => {
+      event.preventDefault();
+      html.find('input.batch-select').prop('checked', false);
+      updateEstimate();
+    });
+  }
 
-      // Save to Foundry
-      const folder = await QuickbrushGallery.getOrCreateFolder();
+  async _updateObject(event, formData) {
+    event.preventDefault();
 
-      // Use image name if available
-      const sanitized = formData.image_name.replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-');
-      const filename = `${sanitized}-${Date.now()}.png`;
+    const data = foundry.utils.expandObject(formData);
+    const selected = this.entries.filter(e => data.actors?.[e.id]?.selected);
 
-      const file = new File([imageBlob], filename, { type: 'image/png' });
+    if (selected.length === 0) {
+      ui.notifications.warn('Select at least one actor to generate an image for.');
+      return;
+    }
 
-      const uploadResult = await FilePicker.upload('data', folder, file);
+    let provider;
+    try {
+      provider = QuickbrushGenerator.resolveProvider();
+    } catch (error) {
+      ui.notifications.error(error.message);
+      return;
+    }
 
-      // Update gallery
-      await QuickbrushGallery.addToGallery({
-        imageUrl: uploadResult.path,
-        type: formData.generation_type,
-        description: formData.text,
-        prompt: formData.prompt,
-        quality: formData.quality,
-        aspectRatio: formData.aspect_ratio,
-        refinedDescription: refinedDescription,
-        imageName: formData.image_name
+    if (!await QuickbrushUsage.confirmQuota(provider, selected.length)) return;
+
+    for (const entry of selected) {
+      const row = data.actors[entry.id];
+      await QuickbrushJobQueue.enqueue({
+        type: row.type || entry.type,
+        text: row.text || entry.text,
+        prompt: '',
+        imageName: entry.name,
+        quality: data.quality,
+        aspectRatio: 'square',
+        referenceImages: [],
+        targetUuid: entry.uuid,
+        targetName: entry.name,
+        autoUpdate: true
       });
+    }
 
-      // Auto-update target document image if requested
-      if (this.targetDocument && formData.auto_update_image) {
-        try {
-          await this.targetDocument.update({ img: uploadResult.path });
-          ui.notifications.info(
-            `Image generated and set as ${this.targetDocument.documentName} image for "${this.targetDocument.name}"!`,
-            { permanent: true }
-          );
-        } catch (err) {
-          console.error('Failed to update document image:', err);
-          ui.notifications.warn(`Image generated but failed to update ${this.targetDocument.documentName} image.`, { permanent: true });
-        }
-      } else {
-        // Success! Show permanent notification
-        ui.notifications.info(
-          `Image generated and saved successfully to ${folder}! View it in the Quickbrush Gallery journal.`,
-          { permanent: true }
-        );
-      }
+    this.close();
 
-    } catch (error) {
-      console.error('Quickbrush generation error:', error);
-      ui.notifications.error(
-        game.i18n.format('QUICKBRUSH.Notifications.Error', { error: error.message }),
-        { permanent: true }
-      );
-    }
+    ui.notifications.info(`Queued ${selected.length} Quickbrush portrait(s). Track their progress in the Wizzlethorpe Labs sidebar.`, { permanent: false });
   }
 }
 
@@ -727,23 +3934,103 @@ class QuickbrushGallery {
   }
 
   /**
-   * Add an image to the gallery
+   * Get all gallery records (newest first)
+   * Each record is its own flag key on the gallery journal, so adding or removing one only sends that record to clients
+   */
+  static getRecords() {
+    const journal = game.journal.find(j => j.name === this.GALLERY_NAME);
+    const records = journal?.getFlag(MODULE_ID, 'records') ?? {};
+    return Object.values(records).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  static getRecord(recordId) {
+    const journal = game.journal.find(j => j.name === this.GALLERY_NAME);
+    return journal?.getFlag(MODULE_ID, `records.${recordId}`) ?? null;
+  }
+
+  /**
+   * Add records to the gallery journal's flags
    */
-  static async addToGallery({ imageUrl, type, description, prompt, quality, aspectRatio, refinedDescription, imageName }) {
+  static async saveRecords(records) {
     const journal = await this.getOrCreateGalleryJournal();
-    const date = new Date().toLocaleString();
+    await journal.update(Object.fromEntries(records.map(record => [`flags.${MODULE_ID}.records.${record.id}`, record])));
+  }
+
+  /**
+   * Add an image to the gallery
+   * Stores a structured record, and appends to the gallery journal if journal export is enabled
+   * @returns {Promise<object>} The new gallery record
+   */
+  static async addToGallery({ imageUrl, type, description, prompt, quality, aspectRatio, refinedDescription, imageName, referenceImages = [], editSource = null, model = null, outputMode = 'image', tokenStyle = null, targetUuid = null, targetName = null }) {
+    const record = {
+      id: foundry.utils.randomID(),
+      imagePath: imageUrl,
+      imageName: imageName || '',
+      type,
+      prompt: prompt || '',
+      description: description || '',
+      refinedDescription: refinedDescription || '',
+      referenceImages: [...referenceImages],
+      editSource,
+      quality,
+      aspectRatio,
+      model,
+      outputMode,
+      tokenStyle,
+      targetUuid,
+      targetName,
+      createdAt: Date.now()
+    };
+
+    await this.saveRecords([record]);
+
+    if (game.settings.get(MODULE_ID, 'galleryJournalExport')) {
+      const page = await this.getOrCreateImagesPage();
+
+      // Prepend new entry to existing content
+      const currentContent = page.text.content || '';
+      await page.update({
+        'text.content': this.buildJournalEntry(record) + currentContent
+      });
+    }
+
+    // Don't show notification here - let the caller show a single comprehensive notification
+    return record;
+  }
+
+  /**
+   * Remove a record from the gallery
+   * Foundry doesn't let clients delete files, so the image itself stays in the save folder
+   */
+  static async deleteRecord(recordId) {
+    const journal = game.journal.find(j => j.name === this.GALLERY_NAME);
+    await journal?.update({ [`flags.${MODULE_ID}.records.-=${recordId}`]: null });
+  }
+
+  /**
+   * Build the journal HTML for a gallery record
+   */
+  static buildJournalEntry(record) {
+    const date = new Date(record.createdAt).toLocaleString();
 
     // Create a title with image name if available
-    let title = imageName ? `${imageName} - ${date}` : date;
+    let title = record.imageName ? `${record.imageName} - ${date}` : date;
 
     const template = game.i18n.localize('QUICKBRUSH.Gallery.EntryTemplate');
-    const entry = template
-      .replace('{type}', type.charAt(0).toUpperCase() + type.slice(1))
+    return template
+      .replace('{type}', record.type.charAt(0).toUpperCase() + record.type.slice(1))
       .replace('{date}', title)
-      .replace('{description}', description)
-      .replace('{quality}', quality.charAt(0).toUpperCase() + quality.slice(1))
-      .replace('{aspectRatio}', aspectRatio)
-      .replace('{imageUrl}', imageUrl);
+      .replace('{description}', record.description)
+      .replace('{quality}', record.quality.charAt(0).toUpperCase() + record.quality.slice(1))
+      .replace('{aspectRatio}', record.aspectRatio)
+      .replace('{imageUrl}', record.imagePath);
+  }
+
+  /**
+   * Get or create the "Images" page of the gallery journal
+   */
+  static async getOrCreateImagesPage() {
+    const journal = await this.getOrCreateGalleryJournal();
 
     // Get the "Images" page specifically (not the About page)
     let page = journal.pages.find(p => p.name === 'Images');
@@ -759,13 +4046,280 @@ class QuickbrushGallery {
       page = pages[0];
     }
 
-    // Prepend new entry to existing content
-    const currentContent = page.text.content || '';
-    await page.update({
-      'text.content': entry + currentContent
+    return page;
+  }
+
+  /**
+   * Rebuild the gallery journal's Images page from all records
+   */
+  static async exportToJournal() {
+    const page = await this.getOrCreateImagesPage();
+    const content = this.getRecords().map(r => this.buildJournalEntry(r)).join('');
+    await page.update({ 'text.content': content });
+    return page;
+  }
+
+  /**
+   * Move records from the old galleryRecords world setting into the gallery journal's flags
+   */
+  static async migrateRecordsSetting() {
+    let records;
+    try {
+      records = JSON.parse(game.settings.get(MODULE_ID, 'galleryRecords') || '[]');
+    } catch {
+      records = [];
+    }
+    if (records.length === 0) return;
+
+    await this.saveRecords(records);
+    await game.settings.set(MODULE_ID, 'galleryRecords', '');
+    console.log(`Wizzlethorpe | Moved ${records.length} gallery records to the gallery journal`);
+  }
+
+  /**
+   * Import entries from the old journal-only gallery into structured records
+   * Runs once per world; entries are matched on the HTML written by buildJournalEntry
+   */
+  static async migrateJournalEntries() {
+    if (game.settings.get(MODULE_ID, 'galleryMigrated')) return;
+
+    const journal = game.journal.find(j => j.name === this.GALLERY_NAME);
+    const page = journal?.pages.find(p => p.name === 'Images');
+    const content = page?.text.content;
+
+    if (content && this.getRecords().length === 0) {
+      const doc = new DOMParser().parseFromString(content, 'text/html');
+      const records = [];
+
+      for (const heading of doc.querySelectorAll('h2')) {
+        let node = heading.nextElementSibling;
+        let img = null;
+        let description = '';
+        let quality = 'high';
+        let aspectRatio = 'square';
+
+        // Walk the entry until the separator
+        while (node && node.tagName !== 'HR' && node.tagName !== 'H2') {
+          if (node.tagName === 'IMG') img = node;
+          const text = node.textContent || '';
+          if (text.startsWith('Description:')) description = text.replace('Description:', '').trim();
+          const match = text.match(/Quality:\s*(\w+)\s*\|\s*Aspect Ratio:\s*(\w+)/);
+          if (match) {
+            quality = match[1].toLowerCase();
+            aspectRatio = match[2];
+          }
+          node = node.nextElementSibling;
+        }
+
+        if (!img) continue;
+
+        // Headings look like "Character - Name - date" or "Character - date"
+        const [type, ...rest] = heading.textContent.split(' - ');
+        records.push({
+          id: foundry.utils.randomID(),
+          imagePath: img.getAttribute('src'),
+          imageName: rest.length > 1 ? rest.slice(0, -1).join(' - ') : '',
+          type: type.trim().toLowerCase(),
+          prompt: '',
+          description,
+          refinedDescription: '',
+          referenceImages: [],
+          editSource: null,
+          quality,
+          aspectRatio,
+          model: null,
+          outputMode: 'image',
+          tokenStyle: null,
+          targetUuid: null,
+          targetName: null,
+          createdAt: page._stats?.createdTime || Date.now()
+        });
+      }
+
+      if (records.length > 0) {
+        await this.saveRecords(records);
+        console.log(`Wizzlethorpe | Migrated ${records.length} gallery entries from the journal`);
+      }
+    }
+
+    await game.settings.set(MODULE_ID, 'galleryMigrated', true);
+  }
+}
+
+/**
+ * Quickbrush Gallery Browser
+ * Thumbnail grid over the structured gallery records with search and filters
+ */
+class QuickbrushGalleryApp extends foundry.applications.api.HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'quickbrush-gallery',
+    classes: ['quickbrush-gallery'],
+    window: {
+      title: 'QUICKBRUSH.GalleryApp.Title',
+      icon: 'fas fa-images',
+      resizable: true
+    },
+    position: {
+      width: 860,
+      height: 680
+    },
+    actions: {
+      viewImage: QuickbrushGalleryApp._onViewImage,
+      applyToActor: QuickbrushGalleryApp._onApplyToActor,
+      regenerate: QuickbrushGalleryApp._onRegenerate,
+      copyPrompt: QuickbrushGalleryApp._onCopyPrompt,
+      deleteRecord: QuickbrushGalleryApp._onDeleteRecord,
+      exportJournal: QuickbrushGalleryApp._onExportJournal
+    }
+  };
+
+  static PARTS = {
+    gallery: {
+      template: 'modules/wizzlethorpe-labs/templates/gallery.hbs',
+      scrollable: ['.gallery-grid']
+    }
+  };
+
+  async _prepareContext(options) {
+    const records = QuickbrushGallery.getRecords();
+    const targets = [...new Set(records.map(r => r.targetName).filter(Boolean))].sort();
+
+    return {
+      records: records.map(record => ({
+        ...record,
+        date: new Date(record.createdAt).toLocaleDateString(),
+        typeLabel: record.type.charAt(0).toUpperCase() + record.type.slice(1),
+        isToken: record.outputMode === 'token',
+        searchText: [record.imageName, record.prompt, record.description, record.refinedDescription].join(' ').toLowerCase()
+      })),
+      types: ['character', 'scene', 'creature', 'item'].map(key => ({
+        key,
+        label: game.i18n.localize(`QUICKBRUSH.Dialog.Types.${key}`)
+      })),
+      targets,
+      isEmpty: records.length === 0
+    };
+  }
+
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    // Filter in place so the search box keeps focus while typing
+    const filters = this.element.querySelectorAll('.gallery-filters [data-filter]');
+    filters.forEach(input => input.addEventListener('input', () => this._applyFilters()));
+    this._applyFilters();
+  }
+
+  /**
+   * Show or hide cards according to the current filters
+   */
+  _applyFilters() {
+    const value = name => this.element.querySelector(`[data-filter="${name}"]`)?.value || '';
+    const search = value('search').trim().toLowerCase();
+    const type = value('type');
+    const target = value('target');
+    const days = Number(value('date')) || 0;
+    const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+
+    let visible = 0;
+    for (const card of this.element.querySelectorAll('.gallery-card')) {
+      const matches = (!search || card.dataset.search.includes(search))
+        && (!type || card.dataset.type === type)
+        && (!target || card.dataset.target === target)
+        && (!since || Number(card.dataset.created) >= since);
+      card.hidden = !matches;
+      if (matches) visible++;
+    }
+
+    const count = this.element.querySelector('.gallery-count');
+    if (count) count.textContent = `${visible} image(s)`;
+  }
+
+  static _getRecord(target) {
+    return QuickbrushGallery.getRecord(target.closest('[data-record-id]')?.dataset.recordId);
+  }
+
+  static _onViewImage(event, target) {
+    const record = QuickbrushGalleryApp._getRecord(target);
+    if (!record) return;
+    new foundry.applications.apps.ImagePopout({
+      src: record.imagePath,
+      window: { title: record.imageName || 'Quickbrush Image' }
+    }).render(true);
+  }
+
+  static async _onApplyToActor(event, target) {
+    const record = QuickbrushGalleryApp._getRecord(target);
+    if (!record) return;
+
+    const actors = game.actors.filter(a => a.isOwner).sort((a, b) => a.name.localeCompare(b.name));
+    if (actors.length === 0) {
+      ui.notifications.warn('There are no actors to apply this image to.');
+      return;
+    }
+
+    const defaultId = record.targetUuid ? fromUuidSync(record.targetUuid)?.id : null;
+    const options = actors.map(a => `<option value="${a.id}" ${a.id === defaultId ? 'selected' : ''}>${foundry.utils.escapeHTML(a.name)}</option>`).join('');
+
+    const actorId = await foundry.applications.api.DialogV2.prompt({
+      window: { title: 'Apply Image to Actor' },
+      content: `<div class="form-group"><label>Actor</label><select name="actorId">${options}</select></div>
+                <p class="hint">${record.outputMode === 'token' ? 'This token image will be set as the prototype token.' : 'This image will be set as the actor portrait.'}</p>`,
+      ok: {
+        label: 'Apply',
+        callback: (event, button) => button.form.elements.actorId.value
+      },
+      rejectClose: false
     });
 
-    // Don't show notification here - let the caller show a single comprehensive notification
+    const actor = game.actors.get(actorId);
+    if (!actor) return;
+
+    if (await QuickbrushGenerator.applyToDocument(actor, record.imagePath, { outputMode: record.outputMode })) {
+      ui.notifications.info(`Image applied to "${actor.name}".`);
+    } else {
+      ui.notifications.error(`Failed to apply image to "${actor.name}".`);
+    }
+  }
+
+  static async _onRegenerate(event, target) {
+    const record = QuickbrushGalleryApp._getRecord(target);
+    if (!record) return;
+
+    const targetDocument = record.targetUuid ? await fromUuid(record.targetUuid) : null;
+    QuickbrushDialog.fromGeneration(record, targetDocument).render(true);
+  }
+
+  static async _onCopyPrompt(event, target) {
+    const record = QuickbrushGalleryApp._getRecord(target);
+    if (!record) return;
+
+    const text = record.prompt || record.refinedDescription || record.description;
+    await game.clipboard.copyPlainText(text);
+    ui.notifications.info('Prompt copied to clipboard.');
+  }
+
+  static async _onDeleteRecord(event, target) {
+    const record = QuickbrushGalleryApp._getRecord(target);
+    if (!record) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Delete Gallery Image' },
+      content: `<p>Remove <strong>${record.imageName ? foundry.utils.escapeHTML(record.imageName) : 'this image'}</strong> from the gallery?</p>
+                <p class="hint">Foundry doesn't allow modules to delete files, so the image file stays at <code>${foundry.utils.escapeHTML(record.imagePath)}</code>. Delete it from your data folder if you no longer need it.</p>`,
+      rejectClose: false
+    });
+
+    if (!confirmed) return;
+
+    await QuickbrushGallery.deleteRecord(record.id);
+    this.render();
+  }
+
+  static async _onExportJournal() {
+    const page = await QuickbrushGallery.exportToJournal();
+    ui.notifications.info('Gallery exported to the Wizzlethorpe Labs Gallery journal.');
+    page.parent.sheet.render(true, { pageId: page.id });
   }
 }
 
@@ -819,73 +4373,225 @@ Hooks.once('init', () => {
     restricted: true
   });
 
-  // Hidden settings for Wizzlethorpe account
-  game.settings.register(MODULE_ID, 'wizzlethorpeToken', {
+  game.settings.registerMenu(MODULE_ID, 'serverSettings', {
+    name: game.i18n.localize('WIZZLETHORPE.Settings.ServerSettings.Name'),
+    label: game.i18n.localize('WIZZLETHORPE.Settings.ServerSettings.Label'),
+    hint: game.i18n.localize('WIZZLETHORPE.Settings.ServerSettings.Hint'),
+    icon: 'fas fa-server',
+    type: WizzlethorpeServerSettings,
+    restricted: true
+  });
+
+  // Hidden settings for Wizzlethorpe account
+  // The token is a secret, so it stays in the GM's browser instead of the world settings every client receives
+  game.settings.register(MODULE_ID, 'wizzlethorpeToken', {
+    scope: 'client',
+    config: false,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE_ID, 'wizzlethorpeAccount', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: ''
+  });
+
+  // Which backend generates images
+  game.settings.register(MODULE_ID, 'imageProvider', {
+    name: game.i18n.localize('QUICKBRUSH.Settings.ImageProvider.Name'),
+    hint: game.i18n.localize('QUICKBRUSH.Settings.ImageProvider.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: QuickbrushProviders.getChoices(),
+    default: 'wizzlethorpe'
+  });
+
+  // Legacy server mode toggle, replaced by imageProvider and only read when migrating
+  game.settings.register(MODULE_ID, 'useServerMode', {
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: true
+  });
+
+  // Register settings
+  // Like the token, the API key is kept per browser and edited from the GM-only account settings
+  game.settings.register(MODULE_ID, 'openaiApiKey', {
+    scope: 'client',
+    config: false,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE_ID, 'imageModel', {
+    name: game.i18n.localize('QUICKBRUSH.Settings.ImageModel.Name'),
+    hint: game.i18n.localize('QUICKBRUSH.Settings.ImageModel.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      'gpt-image-1-mini': game.i18n.localize('QUICKBRUSH.Settings.ImageModel.Choices.mini'),
+      'gpt-image-1': game.i18n.localize('QUICKBRUSH.Settings.ImageModel.Choices.standard')
+    },
+    default: 'gpt-image-1-mini'
+  });
+
+  // Player requests run on the GM's account, so the GM decides what they cost
+  game.settings.register(MODULE_ID, 'requestQuality', {
+    name: game.i18n.localize('QUICKBRUSH.Settings.RequestQuality.Name'),
+    hint: game.i18n.localize('QUICKBRUSH.Settings.RequestQuality.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      low: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.low'),
+      medium: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.medium'),
+      high: game.i18n.localize('QUICKBRUSH.Dialog.Qualities.high')
+    },
+    default: 'medium'
+  });
+
+  QuickbrushProviders.registerSettings();
+
+  game.settings.register(MODULE_ID, 'openaiDirect', {
+    name: game.i18n.localize('QUICKBRUSH.Settings.OpenAIDirect.Name'),
+    hint: game.i18n.localize('QUICKBRUSH.Settings.OpenAIDirect.Hint'),
+    scope: 'world',
+    config: Object.keys(WizzlethorpeAPI.ENTITLEMENT_KEYS).length > 0,
+    type: Boolean,
+    default: false
+  });
+
+  // Signed entitlement, cached for direct mode; the key that verifies it is built into the module
+  game.settings.register(MODULE_ID, 'entitlementCache', {
+    scope: 'client',
+    config: false,
+    type: String,
+    default: ''
+  });
+
+  game.settings.register(MODULE_ID, 'saveFolder', {
+    name: game.i18n.localize('QUICKBRUSH.Settings.SaveFolder.Name'),
+    hint: game.i18n.localize('QUICKBRUSH.Settings.SaveFolder.Hint'),
     scope: 'world',
+    config: true,
+    type: String,
+    default: 'quickbrush-images'
+  });
+
+  game.settings.register(MODULE_ID, 'maxConcurrentJobs', {
+    name: game.i18n.localize('QUICKBRUSH.Settings.MaxConcurrentJobs.Name'),
+    hint: game.i18n.localize('QUICKBRUSH.Settings.MaxConcurrentJobs.Hint'),
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: { min: 1, max: 4, step: 1 },
+    default: 2
+  });
+
+  // Link code waiting to be confirmed, so reopening the link dialog resumes it
+  game.settings.register(MODULE_ID, 'pendingLink', {
+    scope: 'client',
     config: false,
     type: String,
     default: ''
   });
 
-  game.settings.register(MODULE_ID, 'wizzlethorpeAccount', {
-    scope: 'world',
+  // Hidden setting holding the persisted generation queue for this browser
+  game.settings.register(MODULE_ID, 'generationJobs', {
+    scope: 'client',
     config: false,
     type: String,
     default: ''
   });
 
-  // Server mode toggle (use Wizzlethorpe's API key vs BYOK)
-  game.settings.register(MODULE_ID, 'useServerMode', {
-    name: game.i18n.localize('WIZZLETHORPE.Settings.UseServerMode.Name'),
-    hint: game.i18n.localize('WIZZLETHORPE.Settings.UseServerMode.Hint'),
+  // Self-hosted server URL, edited and tested from the server settings menu
+  game.settings.register(MODULE_ID, 'apiBaseUrl', {
+    scope: 'world',
+    config: false,
+    type: String,
+    default: '',
+    onChange: () => {
+      // Entitlements are signed per server
+      if (game.user.isGM) game.settings.set(MODULE_ID, 'entitlementCache', '');
+      WizzlethorpeAPI.refreshCapabilities();
+    }
+  });
+
+  game.settings.register(MODULE_ID, 'cocktailImportTarget', {
+    name: game.i18n.localize('COCKTAILS.Settings.ImportTarget.Name'),
+    hint: game.i18n.localize('COCKTAILS.Settings.ImportTarget.Hint'),
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      world: game.i18n.localize('COCKTAILS.Settings.ImportTarget.Choices.world'),
+      compendium: game.i18n.localize('COCKTAILS.Settings.ImportTarget.Choices.compendium')
+    },
+    default: 'world'
+  });
+
+  game.settings.register(MODULE_ID, 'cocktailAutomation', {
+    name: game.i18n.localize('COCKTAILS.Settings.Automation.Name'),
+    hint: game.i18n.localize('COCKTAILS.Settings.Automation.Hint'),
     scope: 'world',
     config: true,
     type: Boolean,
     default: true
   });
 
-  // Register settings
-  game.settings.register(MODULE_ID, 'openaiApiKey', {
-    name: game.i18n.localize('QUICKBRUSH.Settings.OpenAIApiKey.Name'),
-    hint: game.i18n.localize('QUICKBRUSH.Settings.OpenAIApiKey.Hint'),
+  // Hidden setting holding the last few cocktail import sessions, for undo
+  game.settings.register(MODULE_ID, 'cocktailImportHistory', {
     scope: 'world',
-    config: true,
+    config: false,
     type: String,
     default: ''
   });
 
-  game.settings.register(MODULE_ID, 'imageModel', {
-    name: game.i18n.localize('QUICKBRUSH.Settings.ImageModel.Name'),
-    hint: game.i18n.localize('QUICKBRUSH.Settings.ImageModel.Hint'),
+  game.settings.register(MODULE_ID, 'galleryJournalExport', {
+    name: game.i18n.localize('QUICKBRUSH.Settings.GalleryJournalExport.Name'),
+    hint: game.i18n.localize('QUICKBRUSH.Settings.GalleryJournalExport.Hint'),
     scope: 'world',
     config: true,
-    type: String,
-    choices: {
-      'gpt-image-1-mini': game.i18n.localize('QUICKBRUSH.Settings.ImageModel.Choices.mini'),
-      'gpt-image-1': game.i18n.localize('QUICKBRUSH.Settings.ImageModel.Choices.standard')
-    },
-    default: 'gpt-image-1-mini'
+    type: Boolean,
+    default: true
   });
 
-  game.settings.register(MODULE_ID, 'saveFolder', {
-    name: game.i18n.localize('QUICKBRUSH.Settings.SaveFolder.Name'),
-    hint: game.i18n.localize('QUICKBRUSH.Settings.SaveFolder.Hint'),
+  // Hidden setting holding server quota reports and estimated BYOK spend
+  game.settings.register(MODULE_ID, 'usageHistory', {
     scope: 'world',
-    config: true,
+    config: false,
     type: String,
-    default: 'quickbrush-images'
+    default: ''
   });
 
-  // API Base URL (for development)
-  game.settings.register(MODULE_ID, 'apiBaseUrl', {
-    name: 'API Base URL (Dev Only)',
-    hint: 'Leave empty to use https://wizzlethorpe.com (recommended). Only change this for local development.',
+  // Hidden setting holding player image requests waiting for GM approval
+  // Kept in the browser of the GM who received them, so players never see each other's prompts
+  game.settings.register(MODULE_ID, 'playerRequests', {
+    scope: 'client',
+    config: false,
+    type: String,
+    default: ''
+  });
+
+  // Hidden settings for the structured gallery; records used to be kept here and are moved to the gallery journal on startup
+  game.settings.register(MODULE_ID, 'galleryRecords', {
     scope: 'world',
-    config: true,
+    config: false,
     type: String,
     default: ''
   });
 
+  game.settings.register(MODULE_ID, 'galleryMigrated', {
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: false
+  });
+
   // Register a hidden setting to track if we've shown the About page
   game.settings.register(MODULE_ID, 'aboutPageShown', {
     scope: 'world',
@@ -898,6 +4604,28 @@ Hooks.once('init', () => {
 Hooks.once('ready', async () => {
   console.log('Wizzlethorpe | Module ready');
 
+  QuickbrushRequests.initialize();
+
+  // Load the offline cache index so the sidebar knows what works without the server
+  await WizzlethorpeCache.initialize();
+
+  // Find out which online features the server offers; local features work without it
+  WizzlethorpeAPI.refreshCapabilities();
+
+  if (game.user.isGM) {
+    // Migrate settings from older versions
+    await WizzlethorpeAPI.migrateSecrets();
+    await QuickbrushProviders.migrateLegacyMode();
+    await QuickbrushGallery.migrateRecordsSetting();
+    await QuickbrushGallery.migrateJournalEntries();
+
+    // Re-sync the linked account's tier
+    WizzlethorpeAPI.startAccountRefresh();
+
+    // Pick up any generation jobs left over from before a reload
+    await QuickbrushJobQueue.resume();
+  }
+
   // Show the About page on first launch (only for GMs)
   if (game.user.isGM) {
     const aboutPageShown = game.settings.get(MODULE_ID, 'aboutPageShown');
@@ -986,13 +4714,30 @@ Hooks.on('renderSidebar', (app) => {
     const isLinked = WizzlethorpeAPI.isLinked();
     const account = WizzlethorpeAPI.getLinkedAccount();
     const tierBadgeClass = account ? getTierBadgeClass(account.tierName) : '';
+    const offline = WizzlethorpeAPI.capabilities?.online === false;
+    const lastImport = game.user.isGM ? BixbysCocktails.getImportHistory().at(-1) : null;
 
     const templateData = {
       isLinked,
       account,
       tierBadgeClass,
       canUseServerGeneration: WizzlethorpeAPI.canUseServerGeneration(),
-      canUseBYOKAdvanced: WizzlethorpeAPI.canUseBYOKAdvanced()
+      canUseBYOKAdvanced: WizzlethorpeAPI.canUseBYOKAdvanced(),
+      isGM: game.user.isGM,
+      jobs: QuickbrushJobQueue.getDisplayData(),
+      pendingRequests: game.user.isGM ? QuickbrushRequests.getPending().length : 0,
+      quota: game.user.isGM && WizzlethorpeAPI.canUseServerGeneration() ? QuickbrushUsage.getDashboard().quota : null,
+      server: {
+        selfHosted: WizzlethorpeAPI.isSelfHosted(),
+        offline,
+        url: getApiBaseUrl()
+      },
+      features: {
+        cocktails: WizzlethorpeAPI.supports('cocktails') || (offline && WizzlethorpeCache.has(BixbysCocktails.CONTENT_PATH)),
+        conlang: WizzlethorpeAPI.supports('conlang'),
+        grammars: WizzlethorpeAPI.supports('conlang') || (offline && WizzlethorpeCache.has('/api/conlang/translate'))
+      },
+      lastImport: lastImport ? { date: new Date(lastImport.date).toLocaleString() } : null
     };
 
     // Render the template (use namespaced version for V13 compatibility)
@@ -1064,9 +4809,7 @@ Hooks.on('renderSidebar', (app) => {
         break;
 
       case 'openGallery':
-        QuickbrushGallery.getOrCreateGalleryJournal().then(journal => {
-          journal.sheet.render(true);
-        });
+        new QuickbrushGalleryApp().render(true);
         break;
 
       case 'quickGenerate': {
@@ -1080,6 +4823,34 @@ Hooks.on('renderSidebar', (app) => {
         break;
       }
 
+      case 'cancelJob':
+        QuickbrushJobQueue.cancel(target.dataset.jobId);
+        break;
+
+      case 'chooseVariant':
+        new QuickbrushVariantPicker(target.dataset.jobId).render(true);
+        break;
+
+      case 'retryJob':
+        QuickbrushJobQueue.retry(target.dataset.jobId);
+        break;
+
+      case 'removeJob':
+        QuickbrushJobQueue.remove(target.dataset.jobId);
+        break;
+
+      case 'clearFinishedJobs':
+        QuickbrushJobQueue.clearFinished();
+        break;
+
+      case 'openRequests':
+        new QuickbrushRequestQueue().render(true);
+        break;
+
+      case 'retryServer':
+        WizzlethorpeAPI.refreshCapabilities();
+        break;
+
       case 'openTranslator':
         new ConlangTranslateDialog().render(true);
         break;
@@ -1092,6 +4863,22 @@ Hooks.on('renderSidebar', (app) => {
         BixbysCocktails.importEverything();
         break;
 
+      case 'createTavern':
+        new BixbysTavernDialog().render(true);
+        break;
+
+      case 'openMixingBench':
+        BixbysMixingBench.open();
+        break;
+
+      case 'syncCocktailCompendium':
+        BixbysCocktails.syncCompendium();
+        break;
+
+      case 'undoCocktailImport':
+        BixbysCocktails.undoLastImport();
+        break;
+
       case 'importSpecific': {
         const importType = target.dataset.type;
         switch (importType) {
@@ -1250,11 +5037,16 @@ Hooks.on('renderJournalEntrySheet', (app, html) => {
       console.log('Wizzlethorpe | Text length:', textContent.length);
       console.log('Wizzlethorpe | Reference images:', referenceImages.length);
 
+      // The first visible page is linked as the scene's notes
+      const sourcePageId = $visiblePages.first().data('pageId') || null;
+
       new QuickbrushDialog({
         data: {
           text: textContent,
           generation_type: type,
           aspect_ratio: type === 'scene' ? 'landscape' : 'square',
+          create_scene: type === 'scene',
+          sourcePageId,
           referenceImages
         },
         targetDocument: app.document
@@ -1462,12 +5254,63 @@ async function extractItemText(item) {
   return parts.join('\n');
 }
 
+/**
+ * Determine whether an actor should be painted as a character or a creature
+ */
+function getActorGenerationType(actor, actorType) {
+  // For NPCs, check if they're humanoid
+  if (actorType === 'npc') {
+    const creatureType = actor.system.details?.type?.value || '';
+    const isHumanoid = creatureType.toLowerCase().includes('humanoid');
+    return isHumanoid ? 'character' : 'creature';
+  }
+
+  return actorType === 'character' ? 'character' : 'creature';
+}
+
+/**
+ * Check whether a document has an image of its own rather than a default icon
+ */
+function hasCustomImage(document) {
+  const img = document.img;
+  if (!img) return false;
+  if (img === document.constructor.DEFAULT_ICON) return false;
+  return !img.includes('mystery-man') && !img.startsWith('icons/svg/');
+}
+
+/**
+ * Store the parameters of a generation on the document it was made for
+ */
+async function setGenerationFlag(document, record) {
+  const { targetUuid, targetName, ...generation } = record;
+  await document.setFlag(MODULE_ID, 'generation', generation);
+}
+
+/**
+ * Get the parameters of the last Quickbrush generation for a document, if any
+ */
+function getGenerationFlag(document) {
+  return document?.getFlag(MODULE_ID, 'generation') || null;
+}
+
+/**
+ * Reopen the Quickbrush dialog with a document's last generation parameters
+ */
+function regenerateForDocument(document) {
+  const generation = getGenerationFlag(document);
+  if (!generation) {
+    ui.notifications.warn(`"${document.name}" has no Quickbrush generation to repeat.`);
+    return;
+  }
+
+  QuickbrushDialog.fromGeneration(generation, document).render(true);
+}
+
 /**
  * Helper function to add Quickbrush to actor sheet
  */
 function addQuickbrushToActorSheet(app, html, actorType) {
   console.log(`Quickbrush | Rendering ${actorType} actor sheet`);
-  if (!game.user.isGM) return;
 
   const $html = html instanceof jQuery ? html : $(html);
 
@@ -1488,23 +5331,16 @@ function addQuickbrushToActorSheet(app, html, actorType) {
     return;
   }
 
+  // Players can request images for their own actors; the GM approves them
+  if (!game.user.isGM && !actor.isOwner) return;
+
   // Check if already added to prevent duplicates
   if ($menu.find('[data-action="quickbrush-actor"]').length > 0) {
     console.log('Wizzlethorpe | Already added, skipping');
     return;
   }
 
-  const isCharacter = actorType === 'character';
-
-  // Determine generation type based on creature type
-  let generationType = isCharacter ? 'character' : 'creature';
-
-  // For NPCs, check if they're humanoid
-  if (actorType === 'npc') {
-    const creatureType = actor.system.details?.type?.value || '';
-    const isHumanoid = creatureType.toLowerCase().includes('humanoid');
-    generationType = isHumanoid ? 'character' : 'creature';
-  }
+  const generationType = getActorGenerationType(actor, actorType);
 
   const label = generationType === 'character' ? '🎭 Character' : '🐉 Creature';
   const icon = generationType === 'character' ? 'fa-user' : 'fa-dragon';
@@ -1554,59 +5390,232 @@ function addQuickbrushToActorSheet(app, html, actorType) {
     }).render(true);
   });
 
-  $menu.append(menuItem);
-  console.log('Wizzlethorpe | Menu item appended to', $menu.attr('class'));
+  $menu.append(menuItem);
+  console.log('Wizzlethorpe | Menu item appended to', $menu.attr('class'));
+
+  if (getGenerationFlag(actor)) {
+    const regenerateItem = $(`
+      <li class="header-control" data-action="quickbrush-regenerate">
+        <button type="button" class="control">
+          <i class="control-icon fa-fw fa-solid fa-redo"></i>
+          <span class="control-label">Quickbrush: Regenerate</span>
+        </button>
+      </li>
+    `);
+    regenerateItem.find('button').on('click', () => regenerateForDocument(actor));
+    $menu.append(regenerateItem);
+  }
+
+  // Listen for the toggle button click to add to the dynamically created context menu
+  const $toggleButton = $html.find('button[data-action="toggleControls"]');
+  if ($toggleButton.length > 0) {
+    console.log('Wizzlethorpe | Found toggle button, adding click listener');
+
+    $toggleButton.on('click', () => {
+      console.log('Wizzlethorpe | Toggle button clicked');
+
+      // Wait for the context menu to be created
+      setTimeout(() => {
+        const $contextMenu = $('#context-menu');
+        console.log('Wizzlethorpe | Context menu found:', $contextMenu.length > 0);
+
+        if ($contextMenu.length > 0) {
+          const $contextItems = $contextMenu.find('menu.context-items');
+          console.log('Wizzlethorpe | Context items container found:', $contextItems.length > 0);
+
+          // Check if already added
+          if ($contextItems.find('.quickbrush-context-item').length === 0) {
+            console.log('Wizzlethorpe | Adding to context menu');
+
+            const contextItem = $(`
+              <li class="context-item quickbrush-context-item">
+                <i class="fa-solid ${icon} fa-fw" inert=""></i>
+                <span>Quickbrush: ${label}</span>
+              </li>
+            `);
+
+            contextItem.on('click', async () => {
+              console.log('Wizzlethorpe | Context menu item clicked');
+              // Close the context menu
+              $contextMenu[0]?.hidePopover?.();
+
+              // Extract rich text content with metadata
+              const textContent = await extractActorText(actor, actorType);
+
+              // Extract images from actor's img property
+              const referenceImages = [];
+              if (actor.img && !actor.img.includes('mystery-man')) {
+                referenceImages.push(actor.img);
+              }
+
+              console.log('Wizzlethorpe | Opening dialog for actor:', actor.name);
+              console.log('Wizzlethorpe | Extracted text:', textContent.substring(0, 200) + '...');
+
+              new QuickbrushDialog({
+                targetDocument: actor,
+                data: {
+                  text: textContent,
+                  generation_type: generationType,
+                  aspect_ratio: 'square',
+                  referenceImages
+                }
+              }).render(true);
+            });
+
+            $contextItems.append(contextItem);
+            console.log('Wizzlethorpe | Added to context menu');
+
+            if (getGenerationFlag(actor)) {
+              const regenerateItem = $(`
+                <li class="context-item quickbrush-context-item">
+                  <i class="fa-solid fa-redo fa-fw" inert=""></i>
+                  <span>Quickbrush: Regenerate</span>
+                </li>
+              `);
+              regenerateItem.on('click', () => {
+                $contextMenu[0]?.hidePopover?.();
+                regenerateForDocument(actor);
+              });
+              $contextItems.append(regenerateItem);
+            }
+
+            // Force the context menu to recalculate its height
+            const contextMenuElement = $contextMenu[0];
+            if (contextMenuElement) {
+              // Remove any max-height constraints that might have been set
+              $contextMenu.css('max-height', 'none');
+              $contextItems.css('max-height', 'none');
+
+              // Force a reflow
+              contextMenuElement.style.height = 'auto';
+
+              console.log('Wizzlethorpe | Context menu height adjusted');
+            }
+          } else {
+            console.log('Wizzlethorpe | Already in context menu');
+          }
+        }
+      }, 50);
+    });
+  }
+}
+
+/**
+ * Add Quickbrush options to Character Actor sheet controls dropdown
+ */
+Hooks.on('renderCharacterActorSheet', (app, html) => {
+  addQuickbrushToActorSheet(app, html, 'character');
+});
+
+/**
+ * Add Quickbrush options to NPC Actor sheet controls dropdown
+ */
+Hooks.on('renderNPCActorSheet', (app, html) => {
+  addQuickbrushToActorSheet(app, html, 'npc');
+});
+
+/**
+ * Add batch portrait generation to Actor directory folders
+ */
+Hooks.on('getFolderContextOptions', (app, options) => {
+  if (app.documentName !== 'Actor') return;
+
+  options.push({
+    name: 'QUICKBRUSH.Batch.FolderContext',
+    icon: '<i class="fas fa-palette"></i>',
+    condition: () => game.user.isGM,
+    callback: (li) => {
+      const element = li instanceof HTMLElement ? li : li[0];
+      const folderId = element.closest('[data-folder-id]')?.dataset.folderId;
+      const folder = game.folders.get(folderId);
+      if (folder) QuickbrushBatchDialog.openForFolder(folder);
+    }
+  });
+});
+
+/**
+ * Add a Regenerate option to Actor and Item directory entries made with Quickbrush
+ */
+for (const documentName of ['Actor', 'Item']) {
+  Hooks.on(`get${documentName}ContextOptions`, (app, options) => {
+    const getDocument = (li) => {
+      const element = li instanceof HTMLElement ? li : li[0];
+      return app.collection.get(element.closest('[data-entry-id]')?.dataset.entryId);
+    };
+
+    options.push({
+      name: 'QUICKBRUSH.Regenerate',
+      icon: '<i class="fas fa-redo"></i>',
+      condition: (li) => game.user.isGM && !!getGenerationFlag(getDocument(li)),
+      callback: (li) => regenerateForDocument(getDocument(li))
+    });
+  });
+}
+
+/**
+ * Add Quickbrush options to Item sheet controls dropdown
+ */
+Hooks.on('renderItemSheet5e', (app, html) => {
+  console.log('Wizzlethorpe | Rendering item sheet');
+  if (!game.user.isGM) return;
+
+  const $html = html instanceof jQuery ? html : $(html);
+
+  const item = app.document || app.item || app.object;
+  if (!item) {
+    console.warn('Wizzlethorpe | Could not find item document');
+    return;
+  }
 
   // Listen for the toggle button click to add to the dynamically created context menu
   const $toggleButton = $html.find('button[data-action="toggleControls"]');
   if ($toggleButton.length > 0) {
-    console.log('Wizzlethorpe | Found toggle button, adding click listener');
+    console.log('Wizzlethorpe | Found item toggle button, adding click listener');
 
     $toggleButton.on('click', () => {
-      console.log('Wizzlethorpe | Toggle button clicked');
+      console.log('Wizzlethorpe | Item toggle button clicked');
 
       // Wait for the context menu to be created
       setTimeout(() => {
         const $contextMenu = $('#context-menu');
-        console.log('Wizzlethorpe | Context menu found:', $contextMenu.length > 0);
+        console.log('Wizzlethorpe | Item context menu found:', $contextMenu.length > 0);
 
         if ($contextMenu.length > 0) {
           const $contextItems = $contextMenu.find('menu.context-items');
-          console.log('Wizzlethorpe | Context items container found:', $contextItems.length > 0);
 
           // Check if already added
           if ($contextItems.find('.quickbrush-context-item').length === 0) {
-            console.log('Wizzlethorpe | Adding to context menu');
+            console.log('Wizzlethorpe | Adding to item context menu');
 
             const contextItem = $(`
               <li class="context-item quickbrush-context-item">
-                <i class="fa-solid ${icon} fa-fw" inert=""></i>
-                <span>Quickbrush: ${label}</span>
+                <i class="fa-solid fa-gem fa-fw" inert=""></i>
+                <span>Quickbrush: 🗡️ Item</span>
               </li>
             `);
 
             contextItem.on('click', async () => {
-              console.log('Wizzlethorpe | Context menu item clicked');
+              console.log('Wizzlethorpe | Item context menu item clicked');
               // Close the context menu
               $contextMenu[0]?.hidePopover?.();
 
               // Extract rich text content with metadata
-              const textContent = await extractActorText(actor, actorType);
+              const textContent = await extractItemText(item);
 
-              // Extract images from actor's img property
+              // Extract images from item's img property
               const referenceImages = [];
-              if (actor.img && !actor.img.includes('mystery-man')) {
-                referenceImages.push(actor.img);
+              if (item.img && !item.img.includes('mystery-man')) {
+                referenceImages.push(item.img);
               }
 
-              console.log('Wizzlethorpe | Opening dialog for actor:', actor.name);
+              console.log('Wizzlethorpe | Opening dialog for item:', item.name);
               console.log('Wizzlethorpe | Extracted text:', textContent.substring(0, 200) + '...');
 
               new QuickbrushDialog({
-                targetDocument: actor,
+                targetDocument: item,
                 data: {
                   text: textContent,
-                  generation_type: generationType,
+                  generation_type: 'item',
                   aspect_ratio: 'square',
                   referenceImages
                 }
@@ -1614,7 +5623,21 @@ function addQuickbrushToActorSheet(app, html, actorType) {
             });
 
             $contextItems.append(contextItem);
-            console.log('Wizzlethorpe | Added to context menu');
+            console.log('Wizzlethorpe | Added to item context menu');
+
+            if (getGenerationFlag(item)) {
+              const regenerateItem = $(`
+                <li class="context-item quickbrush-context-item">
+                  <i class="fa-solid fa-redo fa-fw" inert=""></i>
+                  <span>Quickbrush: Regenerate</span>
+                </li>
+              `);
+              regenerateItem.on('click', () => {
+                $contextMenu[0]?.hidePopover?.();
+                regenerateForDocument(item);
+              });
+              $contextItems.append(regenerateItem);
+            }
 
             // Force the context menu to recalculate its height
             const contextMenuElement = $contextMenu[0];
@@ -1626,798 +5649,1603 @@ function addQuickbrushToActorSheet(app, html, actorType) {
               // Force a reflow
               contextMenuElement.style.height = 'auto';
 
-              console.log('Wizzlethorpe | Context menu height adjusted');
+              console.log('Wizzlethorpe | Item context menu height adjusted');
             }
           } else {
-            console.log('Wizzlethorpe | Already in context menu');
+            console.log('Wizzlethorpe | Already in item context menu');
           }
         }
       }, 50);
     });
   }
-}
+});
 
 /**
- * Add Quickbrush options to Character Actor sheet controls dropdown
+ * Bixby's System Adapters
+ * Bixby's content arrives shaped for dnd5e. An adapter converts it into the active system's items
+ * and reads prices, rarities and descriptions back out for the tavern and recipe book.
+ * An adapter is a plain object:
+ *   id                   - Game system ID
+ *   toItem(source, type) - Item data for this system; `type` is 'cocktails', 'ingredients' or 'liquors'
+ *   getPrice(item)       - { value, denomination }
+ *   getRarity(item)      - Rarity key, or null
+ *   getDescription(item) - Description HTML
+ *   quantity             - Path of the quantity field, or null if items don't stack
+ *   rarities             - Optional map of rarity keys to localization keys
+ * Other modules can add adapters with `WizzlethorpeLabs.SystemAdapters.register(adapter)`.
  */
-Hooks.on('renderCharacterActorSheet', (app, html) => {
-  addQuickbrushToActorSheet(app, html, 'character');
+class BixbysSystemAdapters {
+  static registry = new Map();
+  static warned = false;
+
+  static register(adapter) {
+    this.registry.set(adapter.id, adapter);
+  }
+
+  /**
+   * Get the adapter for the active system, falling back to the generic one with a warning
+   */
+  static get() {
+    const adapter = this.registry.get(game.system.id);
+    if (adapter) return adapter;
+
+    if (!this.warned) {
+      this.warned = true;
+      console.warn(`Wizzlethorpe | No Bixby's adapter for ${game.system.id}, using generic items`);
+      ui.notifications.warn(game.i18n.format('COCKTAILS.Notifications.UnsupportedSystem', { system: game.system.title }));
+    }
+    return this.generic;
+  }
+
+  static isSupported() {
+    return this.registry.has(game.system.id);
+  }
+
+  /**
+   * Whether an item type's data model has a field
+   */
+  static hasField(type, field) {
+    const model = CONFIG.Item.dataModels?.[type];
+    if (model) return model.schema.has(field);
+    return field in (game.model?.Item?.[type] ?? {});
+  }
+
+  /**
+   * Read an item's quantity, or null if it doesn't have one
+   */
+  static getQuantity(item) {
+    const { quantity } = this.get();
+    const value = quantity ? foundry.utils.getProperty(item, quantity) : null;
+    return typeof value === 'number' ? value : null;
+  }
+
+  // Price, rarity and description as Bixby's sends them
+  static canonical(source) {
+    const price = source.system?.price;
+    return {
+      price: typeof price === 'number'
+        ? { value: price, denomination: 'gp' }
+        : { value: Number(price?.value) || 0, denomination: price?.denomination || 'gp' },
+      rarity: source.system?.rarity || null,
+      description: source.system?.description?.value || ''
+    };
+  }
+
+  /**
+   * Items of unsupported systems keep a copy of the canonical data in a flag, and use the closest
+   * item type the system has
+   */
+  static generic = {
+    id: null,
+    get quantity() {
+      return BixbysSystemAdapters.hasField(this.itemType, 'quantity') ? 'system.quantity' : null;
+    },
+    get itemType() {
+      const types = (game.documentTypes?.Item ?? []).filter(type => type !== 'base');
+      return ['item', 'consumable', 'equipment', 'gear'].find(type => types.includes(type)) ?? types[0] ?? 'base';
+    },
+    toItem(source) {
+      const canonical = BixbysSystemAdapters.canonical(source);
+      const type = this.itemType;
+      const system = {};
+      if (BixbysSystemAdapters.hasField(type, 'description')) system.description = canonical.description;
+      if (this.quantity) system.quantity = source.system?.quantity ?? 1;
+
+      return {
+        ...source,
+        type,
+        system,
+        flags: foundry.utils.mergeObject(source.flags ?? {}, { [MODULE_ID]: { bixbys: canonical } }, { inplace: false })
+      };
+    },
+    getPrice: item => foundry.utils.getProperty(item, `flags.${MODULE_ID}.bixbys.price`) ?? { value: 0, denomination: 'gp' },
+    getRarity: item => foundry.utils.getProperty(item, `flags.${MODULE_ID}.bixbys.rarity`) ?? null,
+    getDescription: item => foundry.utils.getProperty(item, `flags.${MODULE_ID}.bixbys.description`) ?? ''
+  };
+}
+
+BixbysSystemAdapters.register({
+  id: 'dnd5e',
+  quantity: 'system.quantity',
+  get rarities() {
+    return CONFIG.DND5E?.itemRarity;
+  },
+  toItem: source => source,
+  getPrice: item => BixbysSystemAdapters.canonical(item).price,
+  getRarity: item => item.system?.rarity || null,
+  getDescription: item => item.system?.description?.value || ''
 });
 
-/**
- * Add Quickbrush options to NPC Actor sheet controls dropdown
- */
-Hooks.on('renderNPCActorSheet', (app, html) => {
-  addQuickbrushToActorSheet(app, html, 'npc');
+BixbysSystemAdapters.register({
+  id: 'pf2e',
+  quantity: 'system.quantity',
+  get rarities() {
+    return CONFIG.PF2E?.rarityTraits;
+  },
+  // dnd5e rarities above rare have no PF2e trait of their own
+  RARITIES: { common: 'common', uncommon: 'uncommon', rare: 'rare', veryRare: 'rare', legendary: 'unique', artifact: 'unique' },
+  // PF2e has no electrum, so it is priced in silver
+  COINS: { pp: ['pp', 1], gp: ['gp', 1], ep: ['sp', 5], sp: ['sp', 1], cp: ['cp', 1] },
+  toItem(source) {
+    const { price, rarity, description } = BixbysSystemAdapters.canonical(source);
+    const [coin, rate] = this.COINS[price.denomination] ?? ['gp', 1];
+
+    return {
+      ...source,
+      type: 'consumable',
+      system: {
+        category: 'other',
+        description: { value: description },
+        quantity: source.system?.quantity ?? 1,
+        price: { value: price.value ? { [coin]: price.value * rate } : {} },
+        traits: { value: [], rarity: this.RARITIES[rarity] ?? 'common' }
+      }
+    };
+  },
+  getPrice(item) {
+    const coins = item.system?.price?.value ?? {};
+    const value = (coins.pp ?? 0) * 10 + (coins.gp ?? 0) + (coins.sp ?? 0) / 10 + (coins.cp ?? 0) / 100;
+    return { value: Math.round(value * 100) / 100, denomination: 'gp' };
+  },
+  getRarity: item => item.system?.traits?.rarity || null,
+  getDescription: item => item.system?.description?.value || ''
 });
 
 /**
- * Add Quickbrush options to Item sheet controls dropdown
+ * Bixby's Cocktails - Magical Drink Mixer
  */
-Hooks.on('renderItemSheet5e', (app, html) => {
-  console.log('Wizzlethorpe | Rendering item sheet');
-  if (!game.user.isGM) return;
+class BixbysCocktails {
+  static cocktailData = null;
 
-  const $html = html instanceof jQuery ? html : $(html);
+  /**
+   * Load cocktail data from the API
+   */
+  static async loadCocktailData() {
+    if (this.cocktailData) return this.cocktailData;
+
+    try {
+      this.cocktailData = await WizzlethorpeCache.get('/api/cocktails', { auth: 'optional' });
+      console.log('Wizzlethorpe | Cocktail data loaded:', this.cocktailData.cocktails?.length, 'cocktails');
+      return this.cocktailData;
+    } catch (error) {
+      console.error('Wizzlethorpe | Failed to load cocktail data:', error);
+      ui.notifications.error('Failed to load cocktail data. Check your subscription status.');
+      throw error;
+    }
+  }
+
+  // Roll table drawn from when a mix matches no recipe
+  static FAILED_EXPERIMENT_TABLE = 'Failed Experiments';
+
+  /**
+   * Get cocktail recipes from the cocktail data (GM, when importing)
+   * A recipe is its base liquor plus its ingredients, matched by name in any order
+   * @returns {Promise<Array<{name: string, components: string[]}>>}
+   */
+  static async getRecipes() {
+    const data = await this.loadCocktailData();
+    const nameOf = part => (typeof part === 'string' ? part : part?.name)?.trim().toLowerCase();
+
+    return (data.cocktails || [])
+      .map(cocktail => ({
+        name: cocktail.name,
+        components: [cocktail.liquor ?? cocktail.base, ...(cocktail.ingredients || [])]
+          .map(nameOf)
+          .filter(Boolean)
+          .sort()
+      }))
+      .filter(recipe => recipe.components.length);
+  }
+
+  /**
+   * Get the recipes of the cocktails imported into the world or the compendium
+   * Read from the `recipe` flag written on import, so the bench never calls the API from a
+   * player's browser, where no account is linked
+   * @returns {Promise<Array<{name: string, components: string[]}>>}
+   */
+  static async getImportedRecipes() {
+    const config = this.CONTENT_TYPES.cocktails;
+    const field = `flags.${MODULE_ID}.recipe`;
+    const pack = game.packs.get(`world.${this.PACKS[config.pack].name}`);
+    const inPack = pack ? [...await pack.getIndex({ fields: [field] })] : [];
+    const inWorld = game.items.filter(item => item.folder?.name === config.folder);
+
+    // World copies come last so they win over compendium entries of the same name
+    const recipes = new Map();
+    for (const entry of [...inPack, ...inWorld]) {
+      const components = foundry.utils.getProperty(entry, field);
+      if (components?.length) recipes.set(entry.name, { name: entry.name, components });
+    }
+    return [...recipes.values()];
+  }
+
+  /**
+   * Find the recipe made from exactly these items
+   * @param {Item[]} items
+   */
+  static async findRecipe(items) {
+    const components = items.map(item => item.name.trim().toLowerCase()).sort();
+    const recipes = await this.getImportedRecipes();
+    return recipes.find(recipe => recipe.components.length === components.length
+      && recipe.components.every((name, i) => name === components[i])) ?? null;
+  }
+
+  /**
+   * Find an imported document by name, in the world folder first and then in the compendium
+   * @param {string} type - Key of CONTENT_TYPES
+   * @param {string} name
+   */
+  static async findImported(type, name) {
+    const config = this.CONTENT_TYPES[type];
+    const inWorld = game.collections.get(config.documentName)
+      .find(d => d.name === name && d.folder?.name === config.folder);
+    if (inWorld) return inWorld;
+
+    const pack = game.packs.get(`world.${this.PACKS[config.pack].name}`);
+    const id = pack?.index.find(entry => entry.name === name)?._id;
+    return id ? pack.getDocument(id) : null;
+  }
+
+  /**
+   * Mix items from an actor's inventory
+   * Adds the matching cocktail, or a failed experiment, to the actor and then uses up the items
+   * @param {Actor} actor
+   * @param {Item[]} items - Items owned by the actor, listed once per unit used
+   * @returns {Promise<{item: Item, recipe: object|null}>}
+   */
+  static async mix(actor, items) {
+    const recipe = await this.findRecipe(items);
+
+    let itemData;
+    if (recipe) {
+      const cocktail = await this.findImported('cocktails', recipe.name);
+      if (!cocktail) {
+        throw new Error(`"${recipe.name}" hasn't been imported yet. Ask your GM to import Bixby's cocktails.`);
+      }
+      itemData = cocktail.toObject();
+    } else {
+      itemData = await this.getFailedExperiment();
+    }
+
+    // Ingredients are only used up once the drink exists, so a failure along the way costs nothing
+    const item = await this.addToInventory(actor, itemData);
+    await this.consumeIngredients(items);
+    return { item, recipe };
+  }
+
+  /**
+   * Draw a failed experiment from the roll table, or fall back to a plain murky drink
+   */
+  static async getFailedExperiment() {
+    const fallback = {
+      name: game.i18n.localize('COCKTAILS.Bench.FailedName'),
+      type: 'consumable',
+      img: 'icons/consumables/potions/bottle-round-corked-green.webp',
+      system: { description: { value: `<p>${game.i18n.localize('COCKTAILS.Bench.FailedDescription')}</p>` } }
+    };
+    const adapter = BixbysSystemAdapters.get();
+
+    const table = await this.findImported('tables', this.FAILED_EXPERIMENT_TABLE);
+    if (!table) return adapter.toItem(fallback, 'cocktails');
+
+    const { results } = await table.draw({ displayChat: true });
+    const result = results[0];
+    if (!result) return adapter.toItem(fallback, 'cocktails');
+
+    // Results that link to an item give that item; text results become the description
+    const linked = result.documentUuid ? await fromUuid(result.documentUuid) : null;
+    if (linked instanceof Item) return linked.toObject();
+
+    return adapter.toItem(foundry.utils.mergeObject(fallback, {
+      name: result.name || fallback.name,
+      img: result.img || fallback.img,
+      system: { description: { value: result.description || fallback.system.description.value } }
+    }), 'cocktails');
+  }
+
+  /**
+   * Use up one unit per time an item is listed, removing items that run out
+   */
+  static async consumeIngredients(items) {
+    const path = BixbysSystemAdapters.get().quantity;
+    const counts = new Map();
+    for (const item of items) counts.set(item, (counts.get(item) ?? 0) + 1);
+
+    for (const [item, used] of counts) {
+      const quantity = BixbysSystemAdapters.getQuantity(item);
+      if (quantity > used) {
+        await item.update({ [path]: quantity - used });
+      } else {
+        await item.delete();
+      }
+    }
+  }
+
+  /**
+   * Add an item to an actor, stacking it onto a copy the actor already has
+   */
+  static async addToInventory(actor, itemData) {
+    const path = BixbysSystemAdapters.get().quantity;
+    const existing = actor.items.find(i => i.name === itemData.name && i.type === itemData.type);
+    const quantity = existing ? BixbysSystemAdapters.getQuantity(existing) : null;
+    if (quantity !== null) {
+      await existing.update({ [path]: quantity + 1 });
+      return existing;
+    }
+
+    const { _id, folder, sort, ownership, ...data } = itemData;
+    if (BixbysSystemAdapters.getQuantity(data) !== null) foundry.utils.setProperty(data, path, 1);
+    const [created] = await actor.createEmbeddedDocuments('Item', [data]);
+    return created;
+  }
+
+  // Everything Bixby's offers for Foundry, fetched in one request and cached for offline imports
+  static CONTENT_PATH = '/api/cocktails/foundry?include=all';
+
+  // Content the API provides and the folder each kind is imported into
+  // `embedded` names an embedded collection that is replaced rather than merged on update
+  // `pack` is the key of PACKS used when importing into compendiums
+  static CONTENT_TYPES = {
+    cocktails: { label: 'Cocktails', documentName: 'Item', pack: 'items', folder: 'Bixby\'s Cocktails', color: '#9f5f0f' },
+    ingredients: { label: 'Ingredients', documentName: 'Item', pack: 'items', folder: 'Bixby\'s Ingredients', color: '#2d5a4a' },
+    liquors: { label: 'Liquors', documentName: 'Item', pack: 'items', folder: 'Bixby\'s Liquors', color: '#8b4513' },
+    tables: {
+      label: 'Roll Tables',
+      documentName: 'RollTable',
+      pack: 'tables',
+      folder: 'Bixby\'s Cocktail Effects',
+      color: '#9f5f0f',
+      embedded: { field: 'results', documentName: 'TableResult' }
+    }
+  };
+
+  // World compendiums the module creates and keeps in sync
+  static PACKS = {
+    items: { name: 'bixbys-items', label: 'Bixby\'s Items', type: 'Item' },
+    tables: { name: 'bixbys-tables', label: 'Bixby\'s Roll Tables', type: 'RollTable' },
+    journal: { name: 'bixbys-journal', label: 'Bixby\'s Recipe Book', type: 'JournalEntry' }
+  };
+
+  static RECIPE_BOOK_NAME = 'Bixby\'s Recipe Book';
+
+  // Fields an import never compares or overwrites, so GMs can organise imported documents freely
+  static IGNORED_FIELDS = ['_id', 'folder', 'sort', 'ownership', '_stats', `flags.${MODULE_ID}`];
+
+  /**
+   * Import cocktails as consumable items
+   */
+  static importCocktails() {
+    return this.import(['cocktails']);
+  }
+
+  /**
+   * Import ingredients as loot items
+   */
+  static importIngredients() {
+    return this.import(['ingredients']);
+  }
+
+  /**
+   * Import cocktails and ingredients
+   */
+  static importAll() {
+    return this.import(['cocktails', 'ingredients']);
+  }
+
+  /**
+   * Import base liquors as loot items
+   */
+  static importLiquors() {
+    return this.import(['liquors']);
+  }
+
+  /**
+   * Import roll tables for cocktail effects
+   */
+  static importRollTables() {
+    return this.import(['tables']);
+  }
+
+  /**
+   * Import everything: cocktails, ingredients, liquors, and roll tables
+   */
+  static importEverything() {
+    return this.import(Object.keys(this.CONTENT_TYPES));
+  }
+
+  /**
+   * Bring the compendium packs up to date without a preview
+   * New and changed documents are applied; local edits are kept
+   */
+  static syncCompendium() {
+    return this.import(Object.keys(this.CONTENT_TYPES), { target: 'compendium', preview: false });
+  }
+
+  /**
+   * Fetch content, show what would change and apply the entries the GM picks
+   * @param {string[]} types - Keys of CONTENT_TYPES
+   * @param {object} [options]
+   * @param {string} [options.target] - 'world' or 'compendium', defaults to the import target setting
+   * @param {boolean} [options.preview=true] - Ask before applying; otherwise apply everything that keeps local edits
+   */
+  static async import(types, { target = game.settings.get(MODULE_ID, 'cocktailImportTarget'), preview = true } = {}) {
+    if (!WizzlethorpeAPI.getToken()) {
+      ui.notifications.error('Please link your Wizzlethorpe Labs account to import Bixby\'s content.');
+      return;
+    }
+
+    try {
+      ui.notifications.info('Fetching content from Wizzlethorpe Labs...');
+
+      // Always fetch everything so a single cached copy serves every kind of import offline
+      const data = await WizzlethorpeCache.get(this.CONTENT_PATH, { auth: true });
+
+      // Cocktails carry their recipe in a flag for the mixing bench
+      const recipes = types.includes('cocktails') ? await this.getRecipeMap() : new Map();
+
+      const entries = [];
+      for (const type of types) {
+        const collection = await this.getCollection(type, target);
+        const sources = this.getEntries(type, data);
+        if (type === 'cocktails') {
+          for (const source of sources) {
+            const components = recipes.get(source.name);
+            if (components) foundry.utils.setProperty(source, `flags.${MODULE_ID}.recipe`, components);
+          }
+        }
+        entries.push(...sources.map(source => this.diffEntry(type, source, collection)));
+      }
+
+      if (entries.length === 0) {
+        ui.notifications.warn('No content available to import.');
+        return;
+      }
+
+      // Start tracking local edits on documents imported before edits were tracked, and give
+      // unchanged cocktails the recipe they don't have yet
+      const untracked = entries
+        .filter(entry => entry.status === 'unchanged' && (!entry.tracked || this.needsRecipe(entry)))
+        .map(entry => ({ ...entry, action: 'record' }));
+
+      if (!preview) {
+        const actions = { new: 'create', changed: 'update', modified: 'merge' };
+        const chosen = entries
+          .filter(entry => entry.status in actions)
+          .map(entry => ({ ...entry, action: actions[entry.status] }));
+        await this.applyImport([...chosen, ...untracked], { target });
+        return;
+      }
+
+      // The preview offers nothing to apply when everything is unchanged, so record straight away
+      if (untracked.length && entries.every(entry => entry.status === 'unchanged')) {
+        await this.applyImport(untracked, { target });
+      }
+
+      new BixbysImportPreview(entries, {
+        target,
+        onApply: chosen => this.applyImport([...chosen, ...untracked], { target })
+      }).render(true);
+    } catch (error) {
+      console.error('Wizzlethorpe | Failed to fetch Bixby\'s content:', error);
+      ui.notifications.error(game.i18n.format('COCKTAILS.Notifications.Error', { error: error.message }));
+    }
+  }
+
+  /**
+   * Get the recipe of each cocktail by name, or none if the recipes can't be loaded
+   * @returns {Promise<Map<string, string[]>>}
+   */
+  static async getRecipeMap() {
+    try {
+      return new Map((await this.getRecipes()).map(recipe => [recipe.name, recipe.components]));
+    } catch (error) {
+      console.warn('Wizzlethorpe | Importing cocktails without recipes:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Whether an imported cocktail's recipe flag is missing or out of date
+   */
+  static needsRecipe(entry) {
+    const recipe = foundry.utils.getProperty(entry.source, `flags.${MODULE_ID}.recipe`);
+    return !!recipe && JSON.stringify(recipe) !== JSON.stringify(entry.document?.getFlag(MODULE_ID, 'recipe') ?? null);
+  }
+
+  /**
+   * Get or create one of the module's world compendiums
+   * @param {string} key - Key of PACKS
+   */
+  static async getPack(key) {
+    const { name, label, type } = this.PACKS[key];
+    return game.packs.get(`world.${name}`)
+      ?? foundry.documents.collections.CompendiumCollection.createCompendium({ name, label, type, package: 'world' });
+  }
+
+  /**
+   * Make sure the compendiums an import or undo writes to are unlocked, asking before unlocking any
+   * @param {string[]} keys - Keys of PACKS
+   * @returns {Promise<boolean>} False if the GM kept them locked
+   */
+  static async unlockPacks(keys) {
+    const packs = await Promise.all([...new Set(keys)].map(key => this.getPack(key)));
+    const locked = packs.filter(pack => pack.locked);
+    if (locked.length === 0) return true;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize('COCKTAILS.Unlock.Title'),
+      content: `<p>${game.i18n.format('COCKTAILS.Unlock.Confirm', {
+        packs: locked.map(pack => foundry.utils.escapeHTML(pack.title)).join(', ')
+      })}</p>`
+    });
+    if (!confirmed) {
+      ui.notifications.warn(game.i18n.localize('COCKTAILS.Unlock.Declined'));
+      return false;
+    }
 
-  const item = app.document || app.item || app.object;
-  if (!item) {
-    console.warn('Wizzlethorpe | Could not find item document');
-    return;
+    for (const pack of locked) await pack.configure({ locked: false });
+    return true;
   }
 
-  // Listen for the toggle button click to add to the dynamically created context menu
-  const $toggleButton = $html.find('button[data-action="toggleControls"]');
-  if ($toggleButton.length > 0) {
-    console.log('Wizzlethorpe | Found item toggle button, adding click listener');
-
-    $toggleButton.on('click', () => {
-      console.log('Wizzlethorpe | Item toggle button clicked');
+  /**
+   * Get the keys of the compendiums written to when importing or undoing these kinds of content
+   * @param {string[]} types - Keys of CONTENT_TYPES
+   */
+  static getPackKeys(types) {
+    const keys = types.map(type => this.CONTENT_TYPES[type].pack);
+    if (types.includes('cocktails')) keys.push('journal');
+    return keys;
+  }
 
-      // Wait for the context menu to be created
-      setTimeout(() => {
-        const $contextMenu = $('#context-menu');
-        console.log('Wizzlethorpe | Item context menu found:', $contextMenu.length > 0);
+  /**
+   * Get the documents an import of one kind is compared against
+   * @returns {Promise<{documents: Collection, pack: CompendiumCollection|null}>}
+   */
+  static async getCollection(type, target) {
+    const config = this.CONTENT_TYPES[type];
+    if (target !== 'compendium') {
+      return { documents: game.collections.get(config.documentName), pack: null };
+    }
 
-        if ($contextMenu.length > 0) {
-          const $contextItems = $contextMenu.find('menu.context-items');
+    const pack = await this.getPack(config.pack);
+    const documents = await pack.getDocuments();
+    return { documents: new foundry.utils.Collection(documents.map(d => [d.id, d])), pack };
+  }
 
-          // Check if already added
-          if ($contextItems.find('.quickbrush-context-item').length === 0) {
-            console.log('Wizzlethorpe | Adding to item context menu');
+  /**
+   * Get the document data of one kind from an API response
+   * Items are converted for the active system, and roll tables arrive with result IDs, which are
+   * swapped for the results themselves
+   */
+  static getEntries(type, data) {
+    if (type !== 'tables') {
+      const items = (type === 'cocktails' ? data.cocktails || data.items : data[type]) || [];
+      const adapter = BixbysSystemAdapters.get();
+      return items.map(source => adapter.toItem(source, type));
+    }
 
-            const contextItem = $(`
-              <li class="context-item quickbrush-context-item">
-                <i class="fa-solid fa-gem fa-fw" inert=""></i>
-                <span>Quickbrush: 🗡️ Item</span>
-              </li>
-            `);
+    const resultMap = new Map((data.tableResults || []).map(r => [r._id, r]));
+    return (data.tables || []).map(table => ({
+      ...table,
+      results: (table.results || []).map(id => resultMap.get(id)).filter(Boolean)
+    }));
+  }
 
-            contextItem.on('click', async () => {
-              console.log('Wizzlethorpe | Item context menu item clicked');
-              // Close the context menu
-              $contextMenu[0]?.hidePopover?.();
+  /**
+   * Find the document an entry was imported into before
+   * Matched by ID, then by name in the type's folder for imports from before IDs were fixed
+   */
+  static findExisting(type, source, { documents }) {
+    const config = this.CONTENT_TYPES[type];
+    return documents.get(source._id)
+      ?? documents.find(d => d.name === source.name && d.folder?.name === config.folder)
+      ?? null;
+  }
 
-              // Extract rich text content with metadata
-              const textContent = await extractItemText(item);
+  /**
+   * Compare an entry from the API with the world
+   * `upstream` lists the fields the API changed since the last import and `localEdits` the fields
+   * edited in the world since then. Status is 'new', 'unchanged', 'changed', or 'modified' when
+   * the two overlap and applying the update would overwrite a local edit.
+   */
+  static diffEntry(type, source, collection) {
+    const incoming = this.snapshot(this.normalize(type, source), source);
+    const document = this.findExisting(type, source, collection);
 
-              // Extract images from item's img property
-              const referenceImages = [];
-              if (item.img && !item.img.includes('mystery-man')) {
-                referenceImages.push(item.img);
-              }
+    if (!document) {
+      return { type, source, incoming, document: null, status: 'new', tracked: false, upstream: Object.keys(incoming), localEdits: [] };
+    }
 
-              console.log('Wizzlethorpe | Opening dialog for item:', item.name);
-              console.log('Wizzlethorpe | Extracted text:', textContent.substring(0, 200) + '...');
+    const current = this.snapshot(document.toObject(), source);
+    const stored = document.getFlag(MODULE_ID, 'importSnapshot');
+    // Without a record of the last import, treat the document as it is now as imported
+    const imported = stored ? JSON.parse(stored) : current;
 
-              new QuickbrushDialog({
-                targetDocument: item,
-                data: {
-                  text: textContent,
-                  generation_type: 'item',
-                  aspect_ratio: 'square',
-                  referenceImages
-                }
-              }).render(true);
-            });
+    const upstream = Object.keys(incoming).filter(path => !this.isEqual(incoming[path], path in imported ? imported[path] : current[path]));
+    const localEdits = Object.keys(current).filter(path => path in imported && !this.isEqual(current[path], imported[path]));
 
-            $contextItems.append(contextItem);
-            console.log('Wizzlethorpe | Added to item context menu');
+    let status = 'unchanged';
+    if (upstream.length) {
+      status = upstream.some(path => localEdits.includes(path)) ? 'modified' : 'changed';
+    }
 
-            // Force the context menu to recalculate its height
-            const contextMenuElement = $contextMenu[0];
-            if (contextMenuElement) {
-              // Remove any max-height constraints that might have been set
-              $contextMenu.css('max-height', 'none');
-              $contextItems.css('max-height', 'none');
+    return { type, source, incoming, document, status, tracked: !!stored, upstream, localEdits };
+  }
 
-              // Force a reflow
-              contextMenuElement.style.height = 'auto';
+  /**
+   * Flatten a document's data down to the fields an import sets, for comparison
+   * @param {object} data - Document source to read values from
+   * @param {object} template - API data whose fields are compared
+   */
+  static snapshot(data, template) {
+    const snapshot = {};
+    for (const path of Object.keys(foundry.utils.flattenObject(template))) {
+      if (this.IGNORED_FIELDS.some(field => path === field || path.startsWith(`${field}.`))) continue;
+      snapshot[path] = this.comparable(foundry.utils.getProperty(data, path));
+    }
+    return snapshot;
+  }
 
-              console.log('Wizzlethorpe | Item context menu height adjusted');
-            }
-          } else {
-            console.log('Wizzlethorpe | Already in item context menu');
-          }
-        }
-      }, 50);
-    });
+  // Embedded documents carry timestamps and may come back in any order
+  static comparable(value) {
+    if (!Array.isArray(value)) return value ?? null;
+    return value
+      .map(element => {
+        if (!element || typeof element !== 'object') return element;
+        const { _stats, ...rest } = element;
+        return rest;
+      })
+      .sort((a, b) => String(a?._id ?? '').localeCompare(String(b?._id ?? '')));
   }
-});
 
-/**
- * Bixby's Cocktails - Magical Drink Mixer
- */
-class BixbysCocktails {
-  static cocktailData = null;
+  static isEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
 
   /**
-   * Load cocktail data from the API
+   * Run API data through the document's data model so it compares like stored data
    */
-  static async loadCocktailData() {
-    if (this.cocktailData) return this.cocktailData;
-
+  static normalize(type, source) {
     try {
-      const token = WizzlethorpeAPI.getToken();
-      const headers = { 'Content-Type': 'application/json' };
-      if (token) {
-        headers['Authorization'] = `Bearer ${token}`;
-      }
-
-      const response = await fetch(`${getApiBaseUrl()}/api/cocktails`, { headers });
-      if (!response.ok) {
-        throw new Error('Failed to load cocktail data');
-      }
-
-      this.cocktailData = await response.json();
-      console.log('Wizzlethorpe | Cocktail data loaded:', this.cocktailData.cocktails?.length, 'cocktails');
-      return this.cocktailData;
+      const cls = getDocumentClass(this.CONTENT_TYPES[type].documentName);
+      return new cls(foundry.utils.deepClone(source)).toObject();
     } catch (error) {
-      console.error('Wizzlethorpe | Failed to load cocktail data:', error);
-      ui.notifications.error('Failed to load cocktail data. Check your subscription status.');
-      throw error;
+      console.warn(`Wizzlethorpe | Could not normalize "${source.name}"`, error);
+      return source;
     }
   }
 
   /**
-   * Import cocktails as Foundry items
-   * Fetches Foundry-formatted items from the API and creates them in the world
+   * Apply import entries in bulk
+   * Actions: 'create', 'update', 'merge' (keep local edits), 'overwrite' and 'record' (only store the snapshot)
+   * The documents created and the prior data of those updated are added to the import history for undo
+   * @param {object[]} entries - Results of diffEntry with an `action`
+   * @param {object} [options]
+   * @param {string} [options.target='world'] - 'world' or 'compendium'
    */
-  static async importCocktails() {
-    const token = WizzlethorpeAPI.getToken();
-    if (!token) {
-      ui.notifications.error('Please link your Wizzlethorpe Labs account to import cocktails.');
-      return;
-    }
+  static async applyImport(entries, { target = 'world' } = {}) {
+    if (target === 'compendium' && !await this.unlockPacks(this.getPackKeys(entries.map(entry => entry.type)))) return;
+
+    let created = 0;
+    let updated = 0;
+    const session = { id: foundry.utils.randomID(), date: Date.now(), target, created: [], updated: [] };
+
+    for (const [type, config] of Object.entries(this.CONTENT_TYPES)) {
+      const group = entries.filter(entry => entry.type === type);
+      if (group.length === 0) continue;
+
+      const cls = getDocumentClass(config.documentName);
+      const pack = target === 'compendium' ? await this.getPack(config.pack) : null;
+      const operation = pack ? { pack: pack.collection } : {};
+      const toCreate = group.filter(entry => entry.action === 'create');
+      const toUpdate = group.filter(entry => entry.action !== 'create');
+
+      if (toCreate.length) {
+        const folder = await this.getOrCreateFolder(config, pack);
+        // The mixing bench and drink effects look these up as the player, so new world documents
+        // are shared as Observer; ownership the GM set on earlier imports is left alone
+        const documents = toCreate.map(entry => foundry.utils.mergeObject(entry.source, {
+          folder: folder.id,
+          ...(pack ? {} : { ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER } }),
+          flags: { [MODULE_ID]: { importSnapshot: JSON.stringify(entry.incoming) } }
+        }, { inplace: false }));
+
+        // keepId preserves the API's deterministic IDs so later imports find these documents
+        const createdDocuments = await cls.createDocuments(documents, { ...operation, keepId: true });
+        session.created.push(...createdDocuments.map(document => ({ type, uuid: document.uuid, pack: operation.pack ?? null })));
+        created += toCreate.length;
+      }
 
-    try {
-      ui.notifications.info('Fetching cocktails from Wizzlethorpe Labs...');
+      if (toUpdate.length) {
+        const replaced = [];
+        const updates = toUpdate.map(entry => {
+          const paths = entry.action === 'merge'
+            ? entry.upstream.filter(path => !entry.localEdits.includes(path))
+            : entry.action === 'record' ? [] : entry.upstream;
+
+          const changes = {};
+          for (const path of paths) {
+            if (path === config.embedded?.field) {
+              replaced.push(entry);
+              continue;
+            }
+            changes[path] = foundry.utils.getProperty(entry.source, path);
+          }
 
-      const response = await fetch(`${getApiBaseUrl()}/api/cocktails/foundry?include=cocktails`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
-      });
+          const update = foundry.utils.expandObject(changes);
+          foundry.utils.setProperty(update, `flags.${MODULE_ID}.importSnapshot`, JSON.stringify(entry.incoming));
+          const recipe = foundry.utils.getProperty(entry.source, `flags.${MODULE_ID}.recipe`);
+          if (recipe) foundry.utils.setProperty(update, `flags.${MODULE_ID}.recipe`, recipe);
+          if (entry.action !== 'record') {
+            foundry.utils.setProperty(update, `flags.${MODULE_ID}.undo.${session.id}`, JSON.stringify(this.getUndoSnapshot(entry.document)));
+          }
+          update._id = entry.document.id;
+          return update;
+        });
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch cocktails');
-      }
+        session.updated.push(...toUpdate
+          .filter(entry => entry.action !== 'record')
+          .map(entry => ({ type, uuid: entry.document.uuid, pack: operation.pack ?? null })));
 
-      const data = await response.json();
-      const items = data.cocktails || data.items;
+        await cls.updateDocuments(updates, operation);
 
-      if (!items || items.length === 0) {
-        ui.notifications.warn('No cocktails available to import.');
-        return;
-      }
+        // Embedded collections are swapped out wholesale so removed entries don't linger
+        for (const entry of replaced) {
+          const { field, documentName } = config.embedded;
+          const existingIds = entry.document[field].map(d => d.id);
+          if (existingIds.length) await entry.document.deleteEmbeddedDocuments(documentName, existingIds);
+          await entry.document.createEmbeddedDocuments(documentName, entry.source[field], { keepId: true });
+        }
 
-      // Confirm import
-      const confirmed = await Dialog.confirm({
-        title: 'Import Cocktails',
-        content: `<p>This will import ${items.length} cocktails as consumable items.</p>
-                  <p>Existing items with the same names will be updated.</p>
-                  <p>Continue?</p>`
-      });
+        updated += toUpdate.filter(entry => entry.action !== 'record').length;
+      }
+    }
 
-      if (!confirmed) return;
+    if (target === 'compendium' && entries.some(entry => entry.type === 'cocktails')) {
+      await this.updateRecipeBook();
+    }
 
-      ui.notifications.info(`Importing ${items.length} cocktails...`);
+    if (session.created.length || session.updated.length) {
+      await this.saveImportHistory([...this.getImportHistory(), session]);
+    }
 
-      // Get or create a folder for cocktails
-      let folder = game.folders.find(f => f.name === 'Bixby\'s Cocktails' && f.type === 'Item');
-      if (!folder) {
-        folder = await Folder.create({
-          name: 'Bixby\'s Cocktails',
-          type: 'Item',
-          color: '#9f5f0f'
-        });
-      }
+    ui.notifications.info(`Import complete! Created: ${created}, Updated: ${updated}`, { permanent: true });
+  }
 
-      // Import items
-      let created = 0;
-      let updated = 0;
+  // Import sessions kept for undo, oldest first
+  static MAX_IMPORT_HISTORY = 5;
 
-      for (const itemData of items) {
-        // Add folder reference
-        itemData.folder = folder.id;
+  static getImportHistory() {
+    try {
+      return JSON.parse(game.settings.get(MODULE_ID, 'cocktailImportHistory') || '[]');
+    } catch (error) {
+      console.warn('Wizzlethorpe | Failed to read import history:', error);
+      return [];
+    }
+  }
 
-        // Check if item already exists (by ID first, then by name for backwards compatibility)
-        let existing = game.items.get(itemData._id);
-        if (!existing) {
-          existing = game.items.find(i => i.name === itemData.name && i.folder?.id === folder.id);
-        }
+  /**
+   * Save the import history
+   * The setting only lists what each session touched; the data needed to restore an updated
+   * document is kept in an `undo` flag on the document itself, keyed by session ID
+   */
+  static async saveImportHistory(history) {
+    const kept = history.slice(-this.MAX_IMPORT_HISTORY);
+    for (const session of history.slice(0, -this.MAX_IMPORT_HISTORY)) await this.dropUndoSnapshots(session);
 
-        if (existing) {
-          // Update existing item
-          await existing.update(itemData);
-          updated++;
-        } else {
-          // Create new item with deterministic ID (keepId preserves our _id)
-          await Item.create(itemData, { keepId: true });
-          created++;
-        }
-      }
+    await game.settings.set(MODULE_ID, 'cocktailImportHistory', JSON.stringify(kept));
+    window.WizzlethorpeLabs?.refreshSidebar?.();
+  }
 
-      ui.notifications.info(`Cocktails imported! Created: ${created}, Updated: ${updated}`, { permanent: true });
+  /**
+   * Get a document's data as it was before an import, without the undo data of earlier imports
+   */
+  static getUndoSnapshot(document) {
+    const data = document.toObject();
+    delete data.flags?.[MODULE_ID]?.undo;
+    return data;
+  }
 
-    } catch (error) {
-      console.error('Wizzlethorpe | Failed to import cocktails:', error);
-      ui.notifications.error(`Failed to import cocktails: ${error.message}`);
+  /**
+   * Remove the undo data a session left on the documents it updated, once it can no longer be undone
+   */
+  static async dropUndoSnapshots(session) {
+    for (const { uuid } of session.updated) {
+      try {
+        const document = await fromUuid(uuid);
+        if (document?.getFlag(MODULE_ID, `undo.${session.id}`)) await document.unsetFlag(MODULE_ID, `undo.${session.id}`);
+      } catch (error) {
+        console.warn(`Wizzlethorpe | Could not clear undo data from ${uuid}:`, error);
+      }
     }
   }
 
   /**
-   * Import ingredients as Foundry loot items
-   * Fetches Foundry-formatted items from the API and creates them in the world
+   * Undo the most recent import: delete the documents it created and restore the ones it updated
+   * Calling it again steps further back through the history
    */
-  static async importIngredients() {
-    const token = WizzlethorpeAPI.getToken();
-    if (!token) {
-      ui.notifications.error('Please link your Wizzlethorpe Labs account to import ingredients.');
+  static async undoLastImport() {
+    const history = this.getImportHistory();
+    const session = history.at(-1);
+    if (!session) {
+      ui.notifications.warn(game.i18n.localize('COCKTAILS.Undo.Nothing'));
       return;
     }
 
-    try {
-      ui.notifications.info('Fetching ingredients from Wizzlethorpe Labs...');
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize('COCKTAILS.Undo.Title'),
+      content: `<p>${game.i18n.format('COCKTAILS.Undo.Confirm', {
+        date: new Date(session.date).toLocaleString(),
+        created: session.created.length,
+        updated: session.updated.length
+      })}</p>`
+        + `<p><strong><i class="fas fa-exclamation-triangle"></i> ${game.i18n.localize('COCKTAILS.Undo.LosesEdits')}</strong></p>`
+    });
+    if (!confirmed) return;
 
-      const response = await fetch(`${getApiBaseUrl()}/api/cocktails/foundry?include=ingredients`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
-      });
+    const types = [...session.created, ...session.updated].map(entry => entry.type);
+    if (session.target === 'compendium' && !await this.unlockPacks(this.getPackKeys(types))) return;
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch ingredients');
+    try {
+      // Delete created documents that still exist, grouped by document class and pack
+      const groups = new Map();
+      for (const { type, uuid, pack } of session.created) {
+        const documentName = this.CONTENT_TYPES[type].documentName;
+        const key = `${documentName}:${pack ?? ''}`;
+        if (!groups.has(key)) groups.set(key, { documentName, pack, ids: [] });
+        if (fromUuidSync(uuid)) groups.get(key).ids.push(foundry.utils.parseUuid(uuid).id);
       }
-
-      const data = await response.json();
-      const items = data.ingredients;
-
-      if (!items || items.length === 0) {
-        ui.notifications.warn('No ingredients available to import.');
-        return;
+      for (const { documentName, pack, ids } of groups.values()) {
+        if (ids.length) await getDocumentClass(documentName).deleteDocuments(ids, pack ? { pack } : {});
       }
 
-      // Confirm import
-      const confirmed = await Dialog.confirm({
-        title: 'Import Ingredients',
-        content: `<p>This will import ${items.length} alchemical ingredients as loot items.</p>
-                  <p>Existing items with the same names will be updated.</p>
-                  <p>Continue?</p>`
-      });
+      let restored = 0;
+      for (const entry of session.updated) {
+        if (await this.restoreDocument(entry, session.id)) restored++;
+      }
 
-      if (!confirmed) return;
+      if (session.target === 'compendium' && types.includes('cocktails')) {
+        await this.updateRecipeBook();
+      }
 
-      ui.notifications.info(`Importing ${items.length} ingredients...`);
+      await this.saveImportHistory(history.slice(0, -1));
+      ui.notifications.info(game.i18n.format('COCKTAILS.Undo.Done', {
+        created: session.created.length,
+        updated: restored
+      }));
+    } catch (error) {
+      console.error('Wizzlethorpe | Failed to undo import:', error);
+      ui.notifications.error(game.i18n.format('COCKTAILS.Undo.Error', { error: error.message }));
+    }
+  }
 
-      // Get or create a folder for ingredients
-      let folder = game.folders.find(f => f.name === 'Bixby\'s Ingredients' && f.type === 'Item');
-      if (!folder) {
-        folder = await Folder.create({
-          name: 'Bixby\'s Ingredients',
-          type: 'Item',
-          color: '#2d5a4a'
-        });
+  /**
+   * Put a document back the way it was before an import
+   * Sessions saved before undo data moved onto documents carry it in `data`, and can also recreate
+   * a document deleted since
+   * @param {object} entry - An entry of a session's `updated` list
+   * @param {string} sessionId
+   * @returns {Promise<boolean>} Whether there was anything to restore
+   */
+  static async restoreDocument({ type, uuid, pack, data }, sessionId) {
+    const config = this.CONTENT_TYPES[type];
+    const document = await fromUuid(uuid);
+    if (!document) {
+      if (!data) {
+        console.warn(`Wizzlethorpe | ${uuid} was deleted after the import and can't be restored`);
+        return false;
       }
+      await getDocumentClass(config.documentName).create(data, { ...(pack ? { pack } : {}), keepId: true });
+      return true;
+    }
 
-      // Import items
-      let created = 0;
-      let updated = 0;
-
-      for (const itemData of items) {
-        // Add folder reference
-        itemData.folder = folder.id;
+    const saved = data ?? JSON.parse(document.getFlag(MODULE_ID, `undo.${sessionId}`) || 'null');
+    if (!saved) {
+      console.warn(`Wizzlethorpe | No undo data on ${uuid}`);
+      return false;
+    }
 
-        // Check if item already exists (by ID first, then by name for backwards compatibility)
-        let existing = game.items.get(itemData._id);
-        if (!existing) {
-          existing = game.items.find(i => i.name === itemData.name && i.folder?.id === folder.id);
-        }
+    const { _stats, ...restored } = saved;
+    const field = config.embedded?.field;
+    if (field) delete restored[field];
 
-        if (existing) {
-          // Update existing item
-          await existing.update(itemData);
-          updated++;
-        } else {
-          // Create new item with deterministic ID (keepId preserves our _id)
-          await Item.create(itemData, { keepId: true });
-          created++;
-        }
-      }
+    // Keep the undo data of earlier imports, which the snapshot doesn't include
+    const { [sessionId]: _, ...earlier } = document.getFlag(MODULE_ID, 'undo') ?? {};
+    foundry.utils.setProperty(restored, `flags.${MODULE_ID}.undo`, earlier);
 
-      ui.notifications.info(`Ingredients imported! Created: ${created}, Updated: ${updated}`, { permanent: true });
+    // recursive: false replaces objects wholesale, so fields the import added are removed again
+    await document.update(restored, { diff: false, recursive: false });
 
-    } catch (error) {
-      console.error('Wizzlethorpe | Failed to import ingredients:', error);
-      ui.notifications.error(`Failed to import ingredients: ${error.message}`);
+    if (field) {
+      const { documentName } = config.embedded;
+      const existingIds = document[field].map(d => d.id);
+      if (existingIds.length) await document.deleteEmbeddedDocuments(documentName, existingIds);
+      await document.createEmbeddedDocuments(documentName, saved[field], { keepId: true });
     }
+    return true;
   }
 
   /**
-   * Import all items (cocktails and ingredients)
+   * Get or create the folder a kind of content is imported into, in the world or in a compendium
    */
-  static async importAll() {
-    const token = WizzlethorpeAPI.getToken();
-    if (!token) {
-      ui.notifications.error('Please link your Wizzlethorpe Labs account to import items.');
+  static async getOrCreateFolder({ documentName, folder: name, color }, pack = null) {
+    const folders = pack ? pack.folders : game.folders;
+    return folders.find(f => f.name === name && f.type === documentName)
+      ?? Folder.create({ name, type: documentName, color }, pack ? { pack: pack.collection } : {});
+  }
+
+  /**
+   * Rebuild the recipe book journal from the cocktails in the items compendium
+   * Each cocktail gets a page with the same ID, so links to pages survive a sync
+   */
+  static async updateRecipeBook() {
+    const itemsPack = await this.getPack('items');
+    const journalPack = await this.getPack('journal');
+    const cocktailFolder = itemsPack.folders.find(f => f.name === this.CONTENT_TYPES.cocktails.folder);
+    if (!cocktailFolder) return;
+
+    const cocktails = (await itemsPack.getDocuments())
+      .filter(item => item.folder?.id === cocktailFolder.id)
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const pages = cocktails.map((item, index) => {
+      const name = foundry.utils.escapeHTML(item.name);
+      return {
+        _id: item.id,
+        name: item.name,
+        type: 'text',
+        sort: (index + 1) * CONST.SORT_INTEGER_DENSITY,
+        flags: { [MODULE_ID]: { cocktail: true } },
+        text: {
+          content: `<p>@UUID[${item.uuid}]{${name}}</p>`
+            + (item.img && item.img !== Item.DEFAULT_ICON ? `<img src="${foundry.utils.escapeHTML(item.img)}" alt="${name}" width="200" />` : '')
+            + BixbysSystemAdapters.get().getDescription(item)
+        }
+      };
+    });
+
+    const journal = (await journalPack.getDocuments()).find(j => j.name === this.RECIPE_BOOK_NAME);
+    if (!journal) {
+      await JournalEntry.create({ name: this.RECIPE_BOOK_NAME, pages }, { pack: journalPack.collection, keepEmbeddedIds: true });
       return;
     }
 
-    try {
-      ui.notifications.info('Fetching data from Wizzlethorpe Labs...');
+    // Pages of cocktails that are gone are removed; pages written by hand are left alone
+    // Pages from before they were flagged are recognised by their link into the items compendium
+    const wanted = new Set(pages.map(page => page._id));
+    const isCocktailPage = page => page.getFlag(MODULE_ID, 'cocktail')
+      || page.text?.content?.includes(`@UUID[Compendium.${itemsPack.collection}.`);
+    const toDelete = journal.pages.filter(page => !wanted.has(page.id) && isCocktailPage(page)).map(page => page.id);
+
+    const existing = new Set(journal.pages.map(page => page.id));
+    const toUpdate = pages.filter(page => existing.has(page._id));
+    const toCreate = pages.filter(page => !existing.has(page._id));
+    if (toDelete.length) await journal.deleteEmbeddedDocuments('JournalEntryPage', toDelete);
+    if (toUpdate.length) await journal.updateEmbeddedDocuments('JournalEntryPage', toUpdate);
+    if (toCreate.length) await journal.createEmbeddedDocuments('JournalEntryPage', toCreate, { keepId: true });
+  }
+}
 
-      const response = await fetch(`${getApiBaseUrl()}/api/cocktails/foundry?include=all`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
-      });
+/**
+ * Bixby's Import Preview
+ * Lists what an import would create or change and lets the GM pick what to apply
+ */
+class BixbysImportPreview extends Application {
+  /**
+   * @param {object[]} entries - Results of BixbysCocktails.diffEntry
+   * @param {object} options
+   * @param {string} [options.target] - 'world' or 'compendium'
+   * @param {Function} options.onApply - Called with the picked entries, each with an `action`
+   */
+  constructor(entries, options = {}) {
+    super(options);
+    this.entries = entries;
+    this.target = options.target;
+    this.onApply = options.onApply;
+  }
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch data');
-      }
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'bixbys-import-preview',
+      title: game.i18n.localize('COCKTAILS.Import.Title'),
+      template: 'modules/wizzlethorpe-labs/templates/import-preview.hbs',
+      width: 620,
+      height: 640,
+      classes: ['quickbrush-dialog', 'bixbys-import-preview'],
+      resizable: true
+    });
+  }
 
-      const data = await response.json();
-      const cocktails = data.cocktails || [];
-      const ingredients = data.ingredients || [];
+  getData() {
+    const rows = this.entries.map((entry, index) => ({
+      index,
+      name: entry.source.name,
+      status: entry.status,
+      statusLabel: game.i18n.localize(`COCKTAILS.Import.Status.${entry.status}`),
+      isModified: entry.status === 'modified',
+      changes: entry.document ? entry.upstream.join(', ') : '',
+      conflicts: entry.upstream.filter(path => entry.localEdits.includes(path)).join(', ')
+    }));
+
+    const groups = Object.entries(BixbysCocktails.CONTENT_TYPES)
+      .map(([type, config]) => {
+        const typeRows = rows.filter(row => this.entries[row.index].type === type);
+        return {
+          label: config.label,
+          rows: typeRows.filter(row => row.status !== 'unchanged'),
+          unchanged: typeRows.filter(row => row.status === 'unchanged')
+        };
+      })
+      .filter(group => group.rows.length || group.unchanged.length);
 
-      if (cocktails.length === 0 && ingredients.length === 0) {
-        ui.notifications.warn('No items available to import.');
-        return;
-      }
+    const count = status => this.entries.filter(entry => entry.status === status).length;
 
-      // Confirm import
-      const confirmed = await Dialog.confirm({
-        title: 'Import All Bixby\'s Items',
-        content: `<p>This will import:</p>
-                  <ul>
-                    <li><strong>${cocktails.length}</strong> cocktails (consumable potions)</li>
-                    <li><strong>${ingredients.length}</strong> ingredients (loot items)</li>
-                  </ul>
-                  <p>Existing items with the same names will be updated.</p>
-                  <p>Continue?</p>`
-      });
+    return {
+      groups,
+      counts: {
+        new: count('new'),
+        changed: count('changed'),
+        modified: count('modified'),
+        unchanged: count('unchanged')
+      },
+      hasChanges: this.entries.some(entry => entry.status !== 'unchanged'),
+      intoCompendium: this.target === 'compendium'
+    };
+  }
 
-      if (!confirmed) return;
+  activateListeners(html) {
+    super.activateListeners(html);
 
-      // Create folders
-      let cocktailFolder = game.folders.find(f => f.name === 'Bixby\'s Cocktails' && f.type === 'Item');
-      if (!cocktailFolder) {
-        cocktailFolder = await Folder.create({
-          name: 'Bixby\'s Cocktails',
-          type: 'Item',
-          color: '#9f5f0f'
-        });
-      }
+    html.find('.import-select-all').on('click', (event) => {
+      event.preventDefault();
+      html.find('input.import-apply').prop('checked', true);
+    });
+
+    html.find('.import-select-none').on('click', (event) => {
+      event.preventDefault();
+      html.find('input.import-apply').prop('checked', false);
+      html.find('select.import-action').val('skip');
+    });
 
-      let ingredientFolder = game.folders.find(f => f.name === 'Bixby\'s Ingredients' && f.type === 'Item');
-      if (!ingredientFolder) {
-        ingredientFolder = await Folder.create({
-          name: 'Bixby\'s Ingredients',
-          type: 'Item',
-          color: '#2d5a4a'
-        });
-      }
+    html.find('.import-cancel').on('click', (event) => {
+      event.preventDefault();
+      this.close();
+    });
 
-      let created = 0;
-      let updated = 0;
+    html.find('.import-apply-btn').on('click', async (event) => {
+      event.preventDefault();
 
-      // Import cocktails
-      ui.notifications.info(`Importing ${cocktails.length} cocktails...`);
-      for (const itemData of cocktails) {
-        itemData.folder = cocktailFolder.id;
-        let existing = game.items.get(itemData._id);
-        if (!existing) {
-          existing = game.items.find(i => i.name === itemData.name && i.folder?.id === cocktailFolder.id);
+      const chosen = [];
+      html.find('.import-row').each((i, row) => {
+        const entry = this.entries[Number(row.dataset.index)];
+        if (entry.status === 'modified') {
+          const action = $(row).find('select.import-action').val();
+          if (action !== 'skip') chosen.push({ ...entry, action });
+        } else if ($(row).find('input.import-apply').is(':checked')) {
+          chosen.push({ ...entry, action: entry.document ? 'update' : 'create' });
         }
-        if (existing) {
-          await existing.update(itemData);
-          updated++;
-        } else {
-          await Item.create(itemData, { keepId: true });
-          created++;
-        }
-      }
+      });
 
-      // Import ingredients
-      ui.notifications.info(`Importing ${ingredients.length} ingredients...`);
-      for (const itemData of ingredients) {
-        itemData.folder = ingredientFolder.id;
-        let existing = game.items.get(itemData._id);
-        if (!existing) {
-          existing = game.items.find(i => i.name === itemData.name && i.folder?.id === ingredientFolder.id);
-        }
-        if (existing) {
-          await existing.update(itemData);
-          updated++;
-        } else {
-          await Item.create(itemData, { keepId: true });
-          created++;
-        }
+      this.close();
+      try {
+        await this.onApply?.(chosen);
+      } catch (error) {
+        console.error('Wizzlethorpe | Failed to import Bixby\'s content:', error);
+        ui.notifications.error(game.i18n.format('COCKTAILS.Notifications.Error', { error: error.message }));
       }
-
-      ui.notifications.info(`Import complete! Created: ${created}, Updated: ${updated}`, { permanent: true });
-
-    } catch (error) {
-      console.error('Wizzlethorpe | Failed to import items:', error);
-      ui.notifications.error(`Failed to import items: ${error.message}`);
-    }
+    });
   }
+}
+
+/**
+ * Bixby's Mixing Bench
+ * Drop liquors and ingredients from an actor's inventory and mix them into a cocktail
+ */
+class BixbysMixingBench extends Application {
+  // Most recipes use a liquor and up to three ingredients
+  static MAX_SLOTS = 5;
 
   /**
-   * Import liquors as Foundry loot items
+   * @param {Actor|null} actor - Actor whose inventory is used; otherwise taken from the first dropped item
+   * @param {object} [options]
    */
-  static async importLiquors() {
-    const token = WizzlethorpeAPI.getToken();
-    if (!token) {
-      ui.notifications.error('Please link your Wizzlethorpe Labs account to import liquors.');
-      return;
-    }
-
-    try {
-      ui.notifications.info('Fetching liquors from Wizzlethorpe Labs...');
-
-      const response = await fetch(`${getApiBaseUrl()}/api/cocktails/foundry?include=liquors`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
-      });
+  constructor(actor = null, options = {}) {
+    super(options);
+    this.actor = actor;
+    this.items = [];
+    this.recipe = null;
+  }
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch liquors');
-      }
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'bixbys-mixing-bench',
+      title: game.i18n.localize('COCKTAILS.Bench.Title'),
+      template: 'modules/wizzlethorpe-labs/templates/mixing-bench.hbs',
+      width: 420,
+      height: 'auto',
+      classes: ['quickbrush-dialog', 'bixbys-mixing-bench'],
+      dragDrop: [{ dropSelector: '.bench-drop-zone' }]
+    });
+  }
 
-      const data = await response.json();
-      const items = data.liquors;
+  /**
+   * Open the bench for the user's character or selected token
+   */
+  static open() {
+    const actor = canvas.tokens?.controlled[0]?.actor ?? game.user.character ?? null;
+    return new this(actor).render(true);
+  }
 
-      if (!items || items.length === 0) {
-        ui.notifications.warn('No liquors available to import.');
-        return;
-      }
+  getData() {
+    return {
+      actor: this.actor,
+      items: this.items.map((item, index) => ({ index, name: item.name, img: item.img })),
+      canAdd: this.items.length < this.constructor.MAX_SLOTS,
+      canMix: this.items.length > 1,
+      recipe: this.recipe
+    };
+  }
 
-      // Confirm import
-      const confirmed = await Dialog.confirm({
-        title: 'Import Base Liquors',
-        content: `<p>This will import ${items.length} base liquors as loot items.</p>
-                  <p>Existing items with the same names will be updated.</p>
-                  <p>Continue?</p>`
-      });
+  activateListeners(html) {
+    super.activateListeners(html);
 
-      if (!confirmed) return;
+    html.find('.bench-remove').on('click', async (event) => {
+      event.preventDefault();
+      this.items.splice(Number(event.currentTarget.dataset.index), 1);
+      await this.refresh();
+    });
 
-      ui.notifications.info(`Importing ${items.length} liquors...`);
+    html.find('.bench-clear').on('click', async (event) => {
+      event.preventDefault();
+      this.items = [];
+      await this.refresh();
+    });
 
-      // Get or create a folder for liquors
-      let folder = game.folders.find(f => f.name === 'Bixby\'s Liquors' && f.type === 'Item');
-      if (!folder) {
-        folder = await Folder.create({
-          name: 'Bixby\'s Liquors',
-          type: 'Item',
-          color: '#8b4513'
-        });
-      }
+    html.find('.bench-mix').on('click', async (event) => {
+      event.preventDefault();
+      await this.mix();
+    });
+  }
 
-      // Import items
-      let created = 0;
-      let updated = 0;
+  _canDragDrop() {
+    return true;
+  }
 
-      for (const itemData of items) {
-        itemData.folder = folder.id;
-        let existing = game.items.get(itemData._id);
-        if (!existing) {
-          existing = game.items.find(i => i.name === itemData.name && i.folder?.id === folder.id);
-        }
+  async _onDrop(event) {
+    const TextEditorImpl = foundry.applications?.ux?.TextEditor?.implementation ?? TextEditor;
+    const data = TextEditorImpl.getDragEventData(event);
+    if (data.type !== 'Item') return;
 
-        if (existing) {
-          await existing.update(itemData);
-          updated++;
-        } else {
-          await Item.create(itemData, { keepId: true });
-          created++;
-        }
-      }
+    const item = await fromUuid(data.uuid);
+    if (!item?.parent || !(item.parent instanceof Actor)) {
+      ui.notifications.warn(game.i18n.localize('COCKTAILS.Bench.NeedInventory'));
+      return;
+    }
+    if (!item.parent.isOwner) return;
 
-      ui.notifications.info(`Liquors imported! Created: ${created}, Updated: ${updated}`, { permanent: true });
+    this.actor ??= item.parent;
+    if (item.parent !== this.actor) {
+      ui.notifications.warn(game.i18n.format('COCKTAILS.Bench.WrongActor', { name: this.actor.name }));
+      return;
+    }
+    if (this.items.length >= this.constructor.MAX_SLOTS) return;
 
-    } catch (error) {
-      console.error('Wizzlethorpe | Failed to import liquors:', error);
-      ui.notifications.error(`Failed to import liquors: ${error.message}`);
+    // The same stack can be added once per unit, for recipes that need two of something
+    const added = this.items.filter(i => i === item).length;
+    if (added >= (BixbysSystemAdapters.getQuantity(item) ?? 1)) {
+      ui.notifications.warn(game.i18n.format('COCKTAILS.Bench.NotEnough', { name: item.name }));
+      return;
     }
+
+    this.items.push(item);
+    await this.refresh();
   }
 
   /**
-   * Import roll tables for cocktail effects
+   * Look up the recipe for the current items and re-render
    */
-  static async importRollTables() {
-    const token = WizzlethorpeAPI.getToken();
-    if (!token) {
-      ui.notifications.error('Please link your Wizzlethorpe Labs account to import roll tables.');
-      return;
+  async refresh() {
+    try {
+      this.recipe = this.items.length > 1 ? await BixbysCocktails.findRecipe(this.items) : null;
+    } catch (error) {
+      // Mixing still works without the recipe list; it just can't preview the result
+      console.warn('Wizzlethorpe | Could not look up recipes', error);
+      this.recipe = null;
     }
+    this.render();
+  }
 
+  async mix() {
     try {
-      ui.notifications.info('Fetching roll tables from Wizzlethorpe Labs...');
+      const { item, recipe } = await BixbysCocktails.mix(this.actor, this.items);
+      const key = recipe ? 'COCKTAILS.Bench.Mixed' : 'COCKTAILS.Bench.Failed';
+      ui.notifications.info(game.i18n.format(key, { name: item.name, actor: this.actor.name }));
 
-      const response = await fetch(`${getApiBaseUrl()}/api/cocktails/foundry?include=tables`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      this.items = [];
+      this.recipe = null;
+      this.render();
+    } catch (error) {
+      console.error('Wizzlethorpe | Mixing failed:', error);
+      ui.notifications.error(error.message);
+    }
+  }
+}
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch roll tables');
-      }
+/**
+ * Bixby's Tavern Generator
+ * Builds a merchant NPC stocked with cocktails and liquors, plus a menu journal to hand to players
+ */
+class BixbysTavern {
+  static NAME_PARTS = {
+    adjectives: ['Tipsy', 'Gilded', 'Wandering', 'Rusty', 'Laughing', 'Drowsy', 'Bubbling', 'Crooked'],
+    nouns: ['Griffin', 'Goblet', 'Wizard', 'Barrel', 'Dragon', 'Mermaid', 'Cauldron', 'Owlbear']
+  };
 
-      const data = await response.json();
-      const tables = data.tables || [];
-      const tableResults = data.tableResults || [];
+  static FOLDER = { documentName: 'Actor', folder: 'Bixby\'s Taverns', color: '#9f5f0f' };
 
-      if (tables.length === 0) {
-        ui.notifications.warn('No roll tables available to import.');
-        return;
-      }
+  // Stock fetched once per session
+  static stock = null;
 
-      // Confirm import
-      const confirmed = await Dialog.confirm({
-        title: 'Import Cocktail Roll Tables',
-        content: `<p>This will import ${tables.length} roll tables for cocktail effects.</p>
-                  <p>Each table has a d4 of possible effects when drinking a cocktail.</p>
-                  <p>Existing tables with the same names will be updated.</p>
-                  <p>Continue?</p>`
-      });
+  static randomName() {
+    const pick = list => list[Math.floor(Math.random() * list.length)];
+    return `The ${pick(this.NAME_PARTS.adjectives)} ${pick(this.NAME_PARTS.nouns)}`;
+  }
 
-      if (!confirmed) return;
+  /**
+   * Get the cocktails and liquors a tavern can stock
+   */
+  static async getStock() {
+    if (!this.stock) {
+      const data = await WizzlethorpeCache.get(BixbysCocktails.CONTENT_PATH, { auth: true });
+      this.stock = {
+        cocktails: BixbysCocktails.getEntries('cocktails', data),
+        liquors: BixbysCocktails.getEntries('liquors', data)
+      };
+    }
+    return this.stock;
+  }
 
-      ui.notifications.info(`Importing ${tables.length} roll tables...`);
+  /**
+   * Get an item's price in its own denomination
+   * @returns {{value: number, denomination: string}}
+   */
+  static getPrice(item) {
+    return BixbysSystemAdapters.get().getPrice(item);
+  }
 
-      // Get or create a folder for roll tables
-      let folder = game.folders.find(f => f.name === 'Bixby\'s Cocktail Effects' && f.type === 'RollTable');
-      if (!folder) {
-        folder = await Folder.create({
-          name: 'Bixby\'s Cocktail Effects',
-          type: 'RollTable',
-          color: '#9f5f0f'
-        });
-      }
+  static getRarity(item) {
+    return BixbysSystemAdapters.get().getRarity(item) || 'common';
+  }
 
-      // Build a map of result IDs to result data
-      const resultMap = new Map(tableResults.map(r => [r._id, r]));
+  /**
+   * Get an item's price in gold pieces, for filtering
+   */
+  static getPriceInGold(item) {
+    const { value, denomination } = this.getPrice(item);
+    const rates = { pp: 10, gp: 1, ep: 0.5, sp: 0.1, cp: 0.01 };
+    return value * (rates[denomination] ?? 1);
+  }
 
-      let created = 0;
-      let updated = 0;
+  /**
+   * Pick a random selection of items
+   * @param {object[]} items
+   * @param {object} options
+   * @param {number} options.count
+   * @param {string[]} [options.rarities] - Only items of these rarities; empty for any
+   * @param {number} [options.maxPrice] - Only items costing at most this many gold pieces
+   */
+  static pick(items, { count, rarities = [], maxPrice = 0 }) {
+    const matching = items.filter(item =>
+      (!rarities.length || rarities.includes(this.getRarity(item)))
+      && (!maxPrice || this.getPriceInGold(item) <= maxPrice));
+
+    // Fisher-Yates shuffle, then take the first few
+    for (let i = matching.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [matching[i], matching[j]] = [matching[j], matching[i]];
+    }
+    return matching.slice(0, count);
+  }
 
-      for (const tableData of tables) {
-        // Get the results for this table
-        const results = tableData.results.map(id => resultMap.get(id)).filter(Boolean);
+  /**
+   * Create the merchant actor and its menu journal
+   * @param {object} options
+   * @param {string} options.name - Tavern name
+   * @param {number} options.cocktails - Number of cocktails to stock
+   * @param {number} options.liquors - Number of liquors to stock
+   * @param {string[]} [options.rarities]
+   * @param {number} [options.maxPrice]
+   * @returns {Promise<{actor: Actor, journal: JournalEntry}>}
+   */
+  static async create({ name, cocktails, liquors, rarities = [], maxPrice = 0 }) {
+    const stock = await this.getStock();
+    const menu = {
+      cocktails: this.pick(stock.cocktails, { count: cocktails, rarities, maxPrice }),
+      liquors: this.pick(stock.liquors, { count: liquors, rarities, maxPrice })
+    };
 
-        // Build the table with embedded results
-        const tableWithResults = {
-          ...tableData,
-          results: results,
-          folder: folder.id
-        };
+    if (!menu.cocktails.length && !menu.liquors.length) {
+      throw new Error(game.i18n.localize('COCKTAILS.Tavern.NothingMatches'));
+    }
 
-        let existing = game.tables.get(tableData._id);
-        if (!existing) {
-          existing = game.tables.find(t => t.name === tableData.name && t.folder?.id === folder.id);
-        }
+    const folder = await BixbysCocktails.getOrCreateFolder(this.FOLDER);
+    const actorTypes = game.documentTypes?.Actor ?? [];
 
-        if (existing) {
-          // Delete existing results first
-          const existingResultIds = existing.results.map(r => r.id);
-          if (existingResultIds.length > 0) {
-            await existing.deleteEmbeddedDocuments('TableResult', existingResultIds);
-          }
-          // Update table metadata (without results) then create new results
-          const { results: _, ...tableMetadata } = tableWithResults;
-          await existing.update(tableMetadata);
-          await existing.createEmbeddedDocuments('TableResult', results);
-          updated++;
-        } else {
-          await RollTable.create(tableWithResults, { keepId: true });
-          created++;
-        }
-      }
+    const actor = await Actor.create({
+      name: game.i18n.format('COCKTAILS.Tavern.Keeper', { name }),
+      type: actorTypes.includes('npc') ? 'npc' : actorTypes.find(type => type !== 'base') ?? 'base',
+      folder: folder.id,
+      items: [...menu.cocktails, ...menu.liquors].map(({ _id, folder: _, ...data }) => data),
+      flags: { [MODULE_ID]: { tavern: name } }
+    });
 
-      ui.notifications.info(`Roll tables imported! Created: ${created}, Updated: ${updated}`, { permanent: true });
+    const journalFolder = await BixbysCocktails.getOrCreateFolder({ ...this.FOLDER, documentName: 'JournalEntry' });
+    const journal = await JournalEntry.create({
+      name: game.i18n.format('COCKTAILS.Tavern.MenuName', { name }),
+      folder: journalFolder.id,
+      pages: [{
+        name: game.i18n.localize('COCKTAILS.Tavern.MenuPage'),
+        type: 'text',
+        text: { content: this.buildMenu(name, actor, menu) }
+      }]
+    });
 
-    } catch (error) {
-      console.error('Wizzlethorpe | Failed to import roll tables:', error);
-      ui.notifications.error(`Failed to import roll tables: ${error.message}`);
-    }
+    await actor.setFlag(MODULE_ID, 'tavernMenu', journal.uuid);
+    return { actor, journal };
   }
 
   /**
-   * Import everything: cocktails, ingredients, liquors, and roll tables
+   * Build the menu page HTML with prices and a line of flavour text for each drink
    */
-  static async importEverything() {
-    const token = WizzlethorpeAPI.getToken();
-    if (!token) {
-      ui.notifications.error('Please link your Wizzlethorpe Labs account to import items.');
-      return;
-    }
+  static buildMenu(name, actor, menu) {
+    const escape = foundry.utils.escapeHTML;
+    const section = (title, items) => {
+      if (!items.length) return '';
+      const rows = items.map(item => {
+        const { value, denomination } = this.getPrice(item);
+        let flavour = stripHTML(BixbysSystemAdapters.get().getDescription(item));
+        if (flavour.length > 160) flavour = `${flavour.slice(0, 157).trimEnd()}...`;
+        return `<tr><td><strong>${escape(item.name)}</strong>${flavour ? `<br><em>${escape(flavour)}</em>` : ''}</td><td>${value} ${denomination}</td></tr>`;
+      }).join('');
+      return `<h2>${title}</h2><table><tbody>${rows}</tbody></table>`;
+    };
+
+    return `<h1>${escape(name)}</h1>`
+      + `<p>${game.i18n.localize('COCKTAILS.Tavern.ServedBy')} @UUID[${actor.uuid}]{${escape(actor.name)}}</p>`
+      + section(game.i18n.localize('COCKTAILS.Tavern.Cocktails'), menu.cocktails)
+      + section(game.i18n.localize('COCKTAILS.Tavern.Liquors'), menu.liquors);
+  }
+}
+
+/**
+ * Tavern Generator Dialog
+ */
+class BixbysTavernDialog extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'bixbys-tavern-dialog',
+      title: game.i18n.localize('COCKTAILS.Tavern.Title'),
+      template: 'modules/wizzlethorpe-labs/templates/tavern-dialog.hbs',
+      width: 420,
+      height: 'auto',
+      classes: ['quickbrush-dialog', 'bixbys-tavern-dialog']
+    });
+  }
 
+  async getData() {
+    let rarities = [];
+    let error = null;
     try {
-      ui.notifications.info('Fetching all data from Wizzlethorpe Labs...');
+      const stock = await BixbysTavern.getStock();
+      rarities = [...new Set([...stock.cocktails, ...stock.liquors].map(item => BixbysTavern.getRarity(item)))];
+    } catch (err) {
+      error = err.message;
+    }
 
-      const response = await fetch(`${getApiBaseUrl()}/api/cocktails/foundry?include=all`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
-      });
+    const labels = BixbysSystemAdapters.get().rarities ?? {};
+    return {
+      name: BixbysTavern.randomName(),
+      rarities: rarities.map(key => ({ key, label: labels[key] ? game.i18n.localize(labels[key]) : key })),
+      error
+    };
+  }
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to fetch data');
-      }
+  activateListeners(html) {
+    super.activateListeners(html);
 
-      const data = await response.json();
-      const cocktails = data.cocktails || [];
-      const ingredients = data.ingredients || [];
-      const liquors = data.liquors || [];
-      const tables = data.tables || [];
-      const tableResults = data.tableResults || [];
+    html.find('.tavern-reroll-name').on('click', (event) => {
+      event.preventDefault();
+      html.find('input[name="name"]').val(BixbysTavern.randomName());
+    });
+  }
 
-      // Confirm import
-      const confirmed = await Dialog.confirm({
-        title: 'Import All Bixby\'s Content',
-        content: `<p>This will import:</p>
-                  <ul>
-                    <li><strong>${cocktails.length}</strong> cocktails (consumable potions)</li>
-                    <li><strong>${ingredients.length}</strong> ingredients (loot items)</li>
-                    <li><strong>${liquors.length}</strong> base liquors (loot items)</li>
-                    <li><strong>${tables.length}</strong> roll tables (d4 effects)</li>
-                  </ul>
-                  <p>Existing items with the same names will be updated.</p>
-                  <p>Continue?</p>`
+  async _updateObject(event, formData) {
+    const rarities = Object.entries(formData)
+      .filter(([key, checked]) => key.startsWith('rarity.') && checked)
+      .map(([key]) => key.slice('rarity.'.length));
+
+    try {
+      ui.notifications.info(game.i18n.localize('COCKTAILS.Tavern.Creating'));
+      const name = formData.name?.trim() || BixbysTavern.randomName();
+      const { actor, journal } = await BixbysTavern.create({
+        name,
+        cocktails: Math.max(0, Number(formData.cocktails) || 0),
+        liquors: Math.max(0, Number(formData.liquors) || 0),
+        rarities,
+        maxPrice: Math.max(0, Number(formData.maxPrice) || 0)
       });
 
-      if (!confirmed) return;
+      ui.notifications.info(game.i18n.format('COCKTAILS.Tavern.Created', { name }));
+      actor.sheet.render(true);
+      journal.sheet.render(true);
+    } catch (error) {
+      console.error('Wizzlethorpe | Failed to create tavern:', error);
+      ui.notifications.error(game.i18n.format('COCKTAILS.Tavern.Error', { error: error.message }));
+    }
+  }
+}
 
-      // Create folders
-      let cocktailFolder = game.folders.find(f => f.name === 'Bixby\'s Cocktails' && f.type === 'Item');
-      if (!cocktailFolder) {
-        cocktailFolder = await Folder.create({ name: 'Bixby\'s Cocktails', type: 'Item', color: '#9f5f0f' });
-      }
+/**
+ * Bixby's Drink Effects
+ * Rolls a cocktail's effect table when it is drunk and applies the result to the drinker
+ */
+class BixbysDrinkEffects {
+  // Used when a mechanical result doesn't say how long it lasts
+  static DEFAULT_DURATION = { seconds: 3600 };
 
-      let ingredientFolder = game.folders.find(f => f.name === 'Bixby\'s Ingredients' && f.type === 'Item');
-      if (!ingredientFolder) {
-        ingredientFolder = await Folder.create({ name: 'Bixby\'s Ingredients', type: 'Item', color: '#2d5a4a' });
-      }
+  /**
+   * Find the effect table for a cocktail
+   * Uses the item's `effectTable` flag (a UUID) if set, otherwise an imported table named after the cocktail
+   * @param {Item} item
+   * @returns {Promise<RollTable|null>}
+   */
+  static async findTable(item) {
+    const uuid = item.getFlag(MODULE_ID, 'effectTable');
+    if (uuid) return fromUuid(uuid);
 
-      let liquorFolder = game.folders.find(f => f.name === 'Bixby\'s Liquors' && f.type === 'Item');
-      if (!liquorFolder) {
-        liquorFolder = await Folder.create({ name: 'Bixby\'s Liquors', type: 'Item', color: '#8b4513' });
-      }
+    // Imported tables are shared with players as Observer, so this finds them for the drinker too
+    return await BixbysCocktails.findImported('tables', item.name)
+      ?? await BixbysCocktails.findImported('tables', `${item.name} Effects`);
+  }
 
-      let tableFolder = game.folders.find(f => f.name === 'Bixby\'s Cocktail Effects' && f.type === 'RollTable');
-      if (!tableFolder) {
-        tableFolder = await Folder.create({ name: 'Bixby\'s Cocktail Effects', type: 'RollTable', color: '#9f5f0f' });
+  /**
+   * Roll a cocktail's effect table, post the result and apply any mechanical effect
+   * @param {Item} item - The cocktail
+   * @param {Actor} [actor] - The drinker, defaults to the item's owner
+   * @returns {Promise<boolean>} Whether the item had an effect table
+   */
+  static async drink(item, actor = item.actor) {
+    if (!actor) return false;
+
+    const table = await this.findTable(item);
+    if (!table) {
+      // Other consumables have no table either; only say something for Bixby's cocktails
+      if (item.getFlag(MODULE_ID, 'effectTable') || await BixbysCocktails.findImported('cocktails', item.name)) {
+        ui.notifications.warn(game.i18n.format('COCKTAILS.Drink.NoTable', { name: item.name }));
       }
+      return false;
+    }
 
-      let created = 0;
-      let updated = 0;
+    // roll() rather than draw(), which would need permission to update the table
+    const { roll, results } = await table.roll();
+    const result = results[0];
+    const effects = result ? await this.getEffects(result, item) : [];
 
-      // Import cocktails
-      ui.notifications.info(`Importing ${cocktails.length} cocktails...`);
-      for (const itemData of cocktails) {
-        itemData.folder = cocktailFolder.id;
-        let existing = game.items.get(itemData._id);
-        if (!existing) {
-          existing = game.items.find(i => i.name === itemData.name && i.folder?.id === cocktailFolder.id);
-        }
-        if (existing) {
-          await existing.update(itemData);
-          updated++;
-        } else {
-          await Item.create(itemData, { keepId: true });
-          created++;
-        }
-      }
+    if (effects.length) {
+      await actor.createEmbeddedDocuments('ActiveEffect', effects);
+    }
 
-      // Import ingredients
-      ui.notifications.info(`Importing ${ingredients.length} ingredients...`);
-      for (const itemData of ingredients) {
-        itemData.folder = ingredientFolder.id;
-        let existing = game.items.get(itemData._id);
-        if (!existing) {
-          existing = game.items.find(i => i.name === itemData.name && i.folder?.id === ingredientFolder.id);
-        }
-        if (existing) {
-          await existing.update(itemData);
-          updated++;
-        } else {
-          await Item.create(itemData, { keepId: true });
-          created++;
-        }
-      }
+    await this.postChatCard({ item, actor, roll, result, effects });
+    return true;
+  }
 
-      // Import liquors
-      ui.notifications.info(`Importing ${liquors.length} liquors...`);
-      for (const itemData of liquors) {
-        itemData.folder = liquorFolder.id;
-        let existing = game.items.get(itemData._id);
-        if (!existing) {
-          existing = game.items.find(i => i.name === itemData.name && i.folder?.id === liquorFolder.id);
-        }
-        if (existing) {
-          await existing.update(itemData);
-          updated++;
-        } else {
-          await Item.create(itemData, { keepId: true });
-          created++;
-        }
-      }
+  /**
+   * Work out the Active Effects a table result stands for
+   * A result maps to a mechanical effect through its `effect` flag (Active Effect data)
+   * or by linking to an item whose effects are copied
+   */
+  static async getEffects(result, item) {
+    const base = {
+      origin: item.uuid,
+      img: result.img || item.img,
+      description: result.description || '',
+      flags: { [MODULE_ID]: { cocktail: item.name } }
+    };
+
+    const flagged = result.getFlag(MODULE_ID, 'effect');
+    if (flagged) {
+      return [foundry.utils.mergeObject({
+        ...base,
+        name: result.name || item.name,
+        duration: this.DEFAULT_DURATION
+      }, flagged, { inplace: false })];
+    }
 
-      // Import roll tables
-      if (tables.length > 0) {
-        ui.notifications.info(`Importing ${tables.length} roll tables...`);
-        const resultMap = new Map(tableResults.map(r => [r._id, r]));
+    const linked = result.documentUuid ? await fromUuid(result.documentUuid) : null;
+    if (!(linked instanceof Item)) return [];
+
+    return linked.effects.map(effect => {
+      const data = effect.toObject();
+      delete data._id;
+      return {
+        ...data,
+        ...base,
+        transfer: false,
+        disabled: false,
+        duration: Object.values(data.duration || {}).some(Boolean) ? data.duration : this.DEFAULT_DURATION
+      };
+    });
+  }
 
-        for (const tableData of tables) {
-          const results = tableData.results.map(id => resultMap.get(id)).filter(Boolean);
-          const tableWithResults = { ...tableData, results, folder: tableFolder.id };
+  static async postChatCard({ item, actor, roll, result, effects }) {
+    const escape = foundry.utils.escapeHTML;
+    const text = result ? escape(result.description || result.name) : '';
+    const effectNames = escape(effects.map(effect => effect.name).join(', '));
+
+    // Results that only describe their effect in text, like those of the imported tables, are applied by hand
+    const footer = effectNames
+      ? `<footer class="cocktail-card-effects"><i class="fas fa-magic"></i> ${game.i18n.format('COCKTAILS.Drink.Applied', { effects: effectNames })}</footer>`
+      : result ? `<footer class="cocktail-card-effects"><i class="fas fa-hand-paper"></i> ${game.i18n.localize('COCKTAILS.Drink.Manual')}</footer>` : '';
+
+    const content = `
+      <div class="wizzlethorpe-cocktail-card">
+        <header class="cocktail-card-header">
+          <img src="${escape(item.img)}" alt="${escape(item.name)}" />
+          <div>
+            <strong>${escape(item.name)}</strong>
+            <span class="cocktail-card-subtitle">${game.i18n.format('COCKTAILS.Drink.Drinks', { name: escape(actor.name) })}</span>
+          </div>
+        </header>
+        <div class="cocktail-card-result">${text || game.i18n.localize('COCKTAILS.Drink.NoEffect')}</div>
+        ${footer}
+      </div>`;
 
-          let existing = game.tables.get(tableData._id);
-          if (!existing) {
-            existing = game.tables.find(t => t.name === tableData.name && t.folder?.id === tableFolder.id);
-          }
-          if (existing) {
-            const existingResultIds = existing.results.map(r => r.id);
-            if (existingResultIds.length > 0) {
-              await existing.deleteEmbeddedDocuments('TableResult', existingResultIds);
-            }
-            // Update table metadata (without results) then create new results
-            const { results: _, ...tableMetadata } = tableWithResults;
-            await existing.update(tableMetadata);
-            await existing.createEmbeddedDocuments('TableResult', results);
-            updated++;
-          } else {
-            await RollTable.create(tableWithResults, { keepId: true });
-            created++;
-          }
+    await ChatMessage.create({
+      content,
+      rolls: [roll],
+      speaker: ChatMessage.getSpeaker({ actor }),
+      flags: {
+        [MODULE_ID]: {
+          type: 'cocktail',
+          cocktail: item.name,
+          result: result?.id ?? null
         }
       }
-
-      ui.notifications.info(`Import complete! Created: ${created}, Updated: ${updated}`, { permanent: true });
-
-    } catch (error) {
-      console.error('Wizzlethorpe | Failed to import all content:', error);
-      ui.notifications.error(`Failed to import: ${error.message}`);
-    }
+    });
   }
 }
 
+// dnd5e: drinking a cocktail rolls its effect table
+Hooks.on('dnd5e.postUseActivity', (activity) => {
+  const item = activity.item;
+  if (item?.type !== 'consumable' || !game.settings.get(MODULE_ID, 'cocktailAutomation')) return;
+
+  BixbysDrinkEffects.drink(item).catch(error => {
+    console.error('Wizzlethorpe | Cocktail effect failed:', error);
+    ui.notifications.error(game.i18n.format('COCKTAILS.Drink.Error', { error: error.message }));
+  });
+});
+
 /**
  * Conlang Translator - Fantasy Language Translation
  */
@@ -2434,26 +7262,11 @@ class ConlangTranslator {
       throw new Error(game.i18n.localize('LANGUAGES.Notifications.NeedAccount'));
     }
 
-    const response = await fetch(`${getApiBaseUrl()}/api/conlang/translate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
-      body: JSON.stringify({
-        text,
-        language,
-        includeBackTranslation: true
-      })
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      throw new Error(data.message || data.error || 'Translation failed');
-    }
-
-    return data;
+    return WizzlethorpeHttp.post('/api/conlang/translate', {
+      text,
+      language,
+      includeBackTranslation: true
+    }, { auth: token });
   }
 
   /**
@@ -2461,9 +7274,8 @@ class ConlangTranslator {
    */
   static async getLanguages() {
     try {
-      const response = await fetch(`${getApiBaseUrl()}/api/conlang/translate`);
-      const data = await response.json();
-      return data.success ? data.languages : [];
+      const data = await WizzlethorpeCache.get('/api/conlang/translate');
+      return data?.success ? data.languages : [];
     } catch (error) {
       console.error('Wizzlethorpe | Failed to fetch languages:', error);
       return [];
@@ -2625,11 +7437,10 @@ class ConlangGrammars {
    * Get grammar data for a language from the API
    */
   static async getGrammar(languageId) {
-    const response = await fetch(`${getApiBaseUrl()}/api/conlang/grammar/${languageId}`);
-    const data = await response.json();
+    const data = await WizzlethorpeCache.get(`/api/conlang/grammar/${languageId}`);
 
-    if (!response.ok || !data.success) {
-      throw new Error(data.message || 'Failed to fetch grammar');
+    if (!data?.success) {
+      throw new WizzlethorpeServerError(data?.message || game.i18n.localize('WIZZLETHORPE.Errors.InvalidResponse'));
     }
 
     return data;
@@ -2888,15 +7699,43 @@ class ConlangGrammars {
 window.WizzlethorpeLabs = foundry.utils.mergeObject(window.WizzlethorpeLabs || {}, {
   Quickbrush: {
     Dialog: QuickbrushDialog,
-    Gallery: QuickbrushGallery
+    Gallery: QuickbrushGallery,
+    GalleryApp: QuickbrushGalleryApp,
+    Generator: QuickbrushGenerator,
+    Providers: QuickbrushProviders,
+    Usage: QuickbrushUsage,
+    OpenAI: QuickbrushOpenAI,
+    Jobs: QuickbrushJobQueue,
+    Batch: QuickbrushBatchDialog,
+    MaskEditor: QuickbrushMaskEditor,
+    Requests: QuickbrushRequests,
+    RequestQueue: QuickbrushRequestQueue,
+    VariantPicker: QuickbrushVariantPicker,
+    Tokenizer: QuickbrushTokenizer
   },
   Cocktails: BixbysCocktails,
+  CocktailImportPreview: BixbysImportPreview,
+  MixingBench: BixbysMixingBench,
+  DrinkEffects: BixbysDrinkEffects,
+  SystemAdapters: BixbysSystemAdapters,
+  Tavern: BixbysTavern,
+  TavernDialog: BixbysTavernDialog,
   Languages: {
     Translator: ConlangTranslator,
     Dialog: ConlangTranslateDialog,
     Grammars: ConlangGrammars
   },
   API: WizzlethorpeAPI,
+  Http: WizzlethorpeHttp,
+  Cache: WizzlethorpeCache,
+  Errors: {
+    WizzlethorpeError,
+    WizzlethorpeAuthError,
+    WizzlethorpeQuotaError,
+    WizzlethorpeSubscriptionError,
+    WizzlethorpeNetworkError,
+    WizzlethorpeServerError
+  },
   AccountSettings: QuickbrushAccountSettings
 });
 